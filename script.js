@@ -8,6 +8,50 @@ const PALETTE = [
   '#0ea5e9', '#0284c7', '#0d9488', '#059669', '#2dd4bf', '#5eead4'
 ];
 
+// ============================================
+// SEEDED RANDOM - Reproducible layouts
+// ============================================
+
+// Mulberry32: tiny 32-bit PRNG, returns a function yielding [0, 1)
+function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Numeric input is used as-is; any other text is hashed (FNV-1a) so
+// memorable seeds like "homepage-v2" work too
+function parseSeed(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Fisher-Yates with an injected rng (sort(() => rng() - 0.5) is biased and
+// engine-dependent, so it would not reproduce across browsers)
+function shuffle(array, rng) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
 // ============================================
 // EDGE TYPES - The primary entities
 // ============================================
@@ -28,9 +72,13 @@ class Edge {
 
 // Diagonal edge - two endpoints that can move
 class DiagonalEdge {
-  constructor(id, x1, y1, x2, y2) {
+  constructor(id, x1, y1, x2, y2, orientation = 'vertical') {
     this.id = id;
 
+    // 'vertical' dividers run top-to-bottom between a left and right cell,
+    // so their endpoints slide along x; 'horizontal' ones slide along y
+    this.orientation = orientation;
+
     // Rest positions
     this.restX1 = x1; this.restY1 = y1;
     this.restX2 = x2; this.restY2 = y2;
@@ -42,12 +90,165 @@ class DiagonalEdge {
     // Physics
     this.velocity = { x1: 0, y1: 0, x2: 0, y2: 0 };
     this.force = { x1: 0, y1: 0, x2: 0, y2: 0 };
+
+    // The edges across the divider that its two ends sit on (end 1, end 2).
+    // The ends follow those edges, so a divider between misaligned cells
+    // stays attached to the corners it starts and stops at.
+    this.endEdges = null;
+
+    // Straight, so the outline needs no points between the ends
+    this.segments = 1;
+  }
+
+  // Current endpoints: position along the divider from the end edges,
+  // slant from the endpoints' own physics
+  getEnds() {
+    if (!this.endEdges) return [{ x: this.x1, y: this.y1 }, { x: this.x2, y: this.y2 }];
+    const [e1, e2] = this.endEdges;
+    return this.orientation === 'vertical'
+      ? [{ x: this.x1, y: e1.pos }, { x: this.x2, y: e2.pos }]
+      : [{ x: e1.pos, y: this.y1 }, { x: e2.pos, y: this.y2 }];
   }
 
   // Which side of the line is a point on?
   getSide(x, y) {
     return (this.x2 - this.x1) * (y - this.y1) - (this.y2 - this.y1) * (x - this.x1);
   }
+
+  // Position across the divider (x for vertical ones) a fraction `t` of the
+  // way along, given the across positions of its two ends
+  getAcross(t, v1, v2) {
+    return v1 + (v2 - v1) * t;
+  }
+
+  // Rest positions across the divider that bound its shape
+  getRestAcross() {
+    return this.orientation === 'vertical' ? [this.restX1, this.restX2] : [this.restY1, this.restY2];
+  }
+}
+
+// Points per curved divider when it's turned into a polygon outline
+const CURVE_SEGMENTS = 16;
+
+// Curved divider - a cubic curve with its control points a third and two
+// thirds of the way along, so it never doubles back. Only the control
+// points' across positions (c1, c2) are free; they spring like endpoints.
+class CurvedEdge extends DiagonalEdge {
+  constructor(id, x1, y1, x2, y2, c1, c2, orientation = 'vertical') {
+    super(id, x1, y1, x2, y2, orientation);
+    this.restC1 = c1; this.restC2 = c2;
+    this.c1 = c1; this.c2 = c2;
+    this.velocity.c1 = 0;
+    this.velocity.c2 = 0;
+    this.force.c1 = 0;
+    this.force.c2 = 0;
+    this.segments = CURVE_SEGMENTS;
+  }
+
+  getAcross(t, v1, v2) {
+    const s = 1 - t;
+    return s * s * s * v1 + 3 * s * s * t * this.c1 + 3 * s * t * t * this.c2 + t * t * t * v2;
+  }
+
+  // The curve's own extent, not its control points'
+  getRestAcross() {
+    const [v1, v2] = super.getRestAcross();
+    const across = [];
+    for (let k = 0; k <= this.segments; k++) {
+      const t = k / this.segments;
+      const s = 1 - t;
+      across.push(s * s * s * v1 + 3 * s * s * t * this.restC1 + 3 * s * t * t * this.restC2 + t * t * t * v2);
+    }
+    return across;
+  }
+}
+
+// ============================================
+// POLYGON HELPERS - Cell outlines
+// ============================================
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+// Drop repeated points and points in the middle of a straight run
+// (including runs that double back on themselves)
+function simplifyPolygon(points) {
+  let result = points;
+  let changed = true;
+  while (changed && result.length > 2) {
+    changed = false;
+    for (let i = 0; i < result.length; i++) {
+      const prev = result[(i + result.length - 1) % result.length];
+      const curr = result[i];
+      const next = result[(i + 1) % result.length];
+      const cross = (curr.x - prev.x) * (next.y - curr.y) - (curr.y - prev.y) * (next.x - curr.x);
+      const same = Math.abs(curr.x - prev.x) < 1e-6 && Math.abs(curr.y - prev.y) < 1e-6;
+      if (same || Math.abs(cross) < 1e-6) {
+        result = result.filter((p, j) => j !== i);
+        changed = true;
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+// Move every side of a polygon inward by `distance`, keeping corners
+// mitred (capped for very sharp corners). Returns null if it collapses.
+function insetPolygon(points, distance) {
+  const n = points.length;
+  const sign = polygonArea(points) > 0 ? 1 : -1;
+  const lines = points.map((p, i) => {
+    const q = points[(i + 1) % n];
+    const dx = q.x - p.x;
+    const dy = q.y - p.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const nx = -dy / len * sign;
+    const ny = dx / len * sign;
+    return { x: p.x + nx * distance, y: p.y + ny * distance, dx, dy, nx, ny };
+  });
+
+  const result = points.map((p, i) => {
+    const a = lines[(i + n - 1) % n];
+    const b = lines[i];
+    const denom = a.dx * b.dy - a.dy * b.dx;
+    if (Math.abs(denom) < 1e-9) return { x: p.x + b.nx * distance, y: p.y + b.ny * distance };
+
+    const t = ((b.x - a.x) * b.dy - (b.y - a.y) * b.dx) / denom;
+    const point = { x: a.x + a.dx * t, y: a.y + a.dy * t };
+    const reach = Math.hypot(point.x - p.x, point.y - p.y);
+    const limit = distance * 4;
+    if (reach <= limit) return point;
+    return { x: p.x + (point.x - p.x) * limit / reach, y: p.y + (point.y - p.y) * limit / reach };
+  });
+
+  const area = polygonArea(result);
+  return Math.sign(area) === sign && Math.abs(area) > 1e-6 ? result : null;
+}
+
+// True when no two non-adjacent sides cross
+function isSimplePolygon(points) {
+  const n = points.length;
+  const crosses = (p1, p2, p3, p4) => {
+    const d = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const d1 = d(p3, p4, p1), d2 = d(p3, p4, p2), d3 = d(p1, p2, p3), d4 = d(p1, p2, p4);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) &&
+           d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+  };
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      if (crosses(points[i], points[(i + 1) % n], points[j], points[(j + 1) % n])) return false;
+    }
+  }
+  return true;
 }
 
 // ============================================
@@ -67,10 +268,42 @@ class Cell {
     // This cell's rectangle is clipped by these diagonals
     this.diagonalClips = [];
 
-    // Image for cell (loaded on populate)
+    // Image or video for cell (loaded on populate, see createMedia), and
+    // the point of it to keep in view as { x, y } fractions (null: center)
     this.image = null;
+    this.focus = null;
+
+    // Where the exported cell links to (and which window it opens in) and
+    // its text alternative; `item` is the weighted-layout entry the cell
+    // was sized for, if any
+    this.link = null;
+    this.linkTarget = '_blank';
+    this.alt = null;
+    this.item = null;
+
+    // Text drawn over the cell (see CELL CONTENT), or null
+    this.content = null;
+
+    // Locked cells keep their bounds and content through regeneration
+    this.locked = false;
+  }
+
+  // Everything a cell shows, as opposed to where it sits
+  copyContentFrom(other) {
+    this.color = other.color;
+    this.image = other.image;
+    this.focus = other.focus;
+    this.link = other.link;
+    this.linkTarget = other.linkTarget;
+    this.alt = other.alt;
+    this.item = other.item;
+    this.content = other.content;
+    this.locked = other.locked;
   }
 
+  // Text tiles show their color and text, never an image
+  get isTextTile() { return !!this.content?.textOnly; }
+
   // Derived properties from edges
   get x() { return this.left.pos; }
   get y() { return this.top.pos; }
@@ -82,90 +315,109 @@ class Cell {
   get restWidth() { return this.right.rest - this.left.rest; }
   get restHeight() { return this.bottom.rest - this.top.rest; }
 
-  // Get polygon vertices after applying diagonal clips
-  getVertices(gap = 0) {
-    const halfGap = gap / 2;
-    const l = this.left.pos + halfGap;
-    const r = this.right.pos - halfGap;
-    const t = this.top.pos + halfGap;
-    const b = this.bottom.pos - halfGap;
-
-    // Start with rectangle (clockwise)
-    let vertices = [
-      { x: l, y: t },
-      { x: r, y: t },
-      { x: r, y: b },
-      { x: l, y: b }
-    ];
-
-    // Clip by each diagonal
-    for (const clip of this.diagonalClips) {
-      vertices = this.clipByDiagonal(vertices, clip.diagonal, clip.keepSide, gap);
+  // Rest rectangle minus any overlap a diagonal clip extends it into,
+  // i.e. the region this cell owns outright
+  getInnerRestBounds() {
+    const bounds = { left: this.left.rest, right: this.right.rest, top: this.top.rest, bottom: this.bottom.rest };
+    for (const { diagonal: d, keepSide } of this.diagonalClips) {
+      const across = d.getRestAcross();
+      if (d.orientation === 'vertical') {
+        if (keepSide === 'positive') bounds.right = Math.min(bounds.right, ...across);
+        else bounds.left = Math.max(bounds.left, ...across);
+      } else {
+        if (keepSide === 'positive') bounds.bottom = Math.min(bounds.bottom, ...across);
+        else bounds.top = Math.max(bounds.top, ...across);
+      }
     }
-
-    return vertices;
+    return bounds;
   }
 
-  clipByDiagonal(vertices, diag, keepSide, gap) {
-    if (vertices.length < 3) return vertices;
-
-    const halfGap = gap / 2;
-
-    // Offset diagonal for gap
-    const dx = diag.x2 - diag.x1;
-    const dy = diag.y2 - diag.y1;
-    const len = Math.sqrt(dx * dx + dy * dy);
-    if (len < 0.001) return vertices;
-
-    const perpX = -dy / len * halfGap;
-    const perpY = dx / len * halfGap;
-    // Each cell should be clipped to keep LESS, creating a gap
-    // Positive cell: offset toward positive side (cell keeps less)
-    // Negative cell: offset toward negative side (cell keeps less)
-    const offsetMult = keepSide === 'positive' ? 1 : -1;
-
-    const ox1 = diag.x1 + perpX * offsetMult;
-    const oy1 = diag.y1 + perpY * offsetMult;
-    const ox2 = diag.x2 + perpX * offsetMult;
-    const oy2 = diag.y2 + perpY * offsetMult;
-
-    // Sutherland-Hodgman clipping
-    const result = [];
-    for (let i = 0; i < vertices.length; i++) {
-      const curr = vertices[i];
-      const next = vertices[(i + 1) % vertices.length];
-
-      const currSide = (ox2 - ox1) * (curr.y - oy1) - (oy2 - oy1) * (curr.x - ox1);
-      const nextSide = (ox2 - ox1) * (next.y - oy1) - (oy2 - oy1) * (next.x - ox1);
+  // The side of the cell a clip's divider runs along
+  getClipSide(clip) {
+    if (clip.diagonal.orientation === 'vertical') {
+      return clip.keepSide === 'positive' ? 'right' : 'left';
+    }
+    return clip.keepSide === 'positive' ? 'bottom' : 'top';
+  }
 
-      const currInside = keepSide === 'positive' ? currSide >= 0 : currSide <= 0;
-      const nextInside = keepSide === 'positive' ? nextSide >= 0 : nextSide <= 0;
+  // Outline at zero gap: the rectangle walked clockwise, where each divider
+  // replaces the stretch of its side between the divider's two ends, with
+  // a step out to the divider at either end of that stretch (curved ones
+  // are followed through their segment points)
+  getOutline() {
+    const l = this.left.pos, r = this.right.pos, t = this.top.pos, b = this.bottom.pos;
+    const sides = [
+      { side: 'top', from: l, to: r, at: t, alongX: true },
+      { side: 'right', from: t, to: b, at: r, alongX: false },
+      { side: 'bottom', from: r, to: l, at: b, alongX: true },
+      { side: 'left', from: b, to: t, at: l, alongX: false }
+    ];
 
-      if (currInside) result.push(curr);
+    const points = [];
+    for (const { side, from, to, at, alongX } of sides) {
+      const point = (u, v) => (alongX ? { x: u, y: v } : { x: v, y: u });
+      const dir = Math.sign(to - from);
+      points.push(point(from, at));
+
+      const stretches = [];
+      for (const clip of this.diagonalClips) {
+        if (this.getClipSide(clip) !== side) continue;
+        const [p1, p2] = clip.diagonal.getEnds();
+        const [u1, v1, u2, v2] = alongX ? [p1.x, p1.y, p2.x, p2.y] : [p1.y, p1.x, p2.y, p2.x];
+        if (Math.abs(u2 - u1) < 1e-6) continue;
+
+        const lo = Math.max(Math.min(u1, u2), Math.min(from, to));
+        const hi = Math.min(Math.max(u1, u2), Math.max(from, to));
+        if (hi - lo < 1e-6) continue;
+
+        const { segments } = clip.diagonal;
+        const across = u => clip.diagonal.getAcross((u - u1) / (u2 - u1), v1, v2);
+        const [enter, exit] = dir > 0 ? [lo, hi] : [hi, lo];
+        const between = [];
+        for (let k = 1; k < segments; k++) {
+          const u = u1 + (u2 - u1) * k / segments;
+          if (u > lo + 1e-6 && u < hi - 1e-6) between.push(u);
+        }
+        between.sort((a, c) => (a - c) * dir);
+        stretches.push({ enter, exit, across, between });
+      }
 
-      if (currInside !== nextInside) {
-        const t = currSide / (currSide - nextSide);
-        result.push({
-          x: curr.x + t * (next.x - curr.x),
-          y: curr.y + t * (next.y - curr.y)
-        });
+      stretches.sort((a, c) => (a.enter - c.enter) * dir);
+      for (const { enter, exit, across, between } of stretches) {
+        points.push(point(enter, at), point(enter, across(enter)));
+        for (const u of between) points.push(point(u, across(u)));
+        points.push(point(exit, across(exit)), point(exit, at));
       }
     }
+    return simplifyPolygon(points);
+  }
+
+  // Get polygon vertices, shrunk by half the gap on every side
+  getVertices(gap = 0) {
+    const halfGap = gap / 2;
+    if (this.diagonalClips.length === 0) {
+      const l = this.left.pos + halfGap;
+      const r = this.right.pos - halfGap;
+      const t = this.top.pos + halfGap;
+      const b = this.bottom.pos - halfGap;
+      return [{ x: l, y: t }, { x: r, y: t }, { x: r, y: b }, { x: l, y: b }];
+    }
 
-    return result;
+    // Mid-animation a divider can fold the inset outline over itself;
+    // show the outline without a gap rather than a broken shape
+    const outline = this.getOutline();
+    if (halfGap <= 0 || outline.length < 3) return outline;
+    const inset = insetPolygon(outline, halfGap);
+    return inset && isSimplePolygon(inset) ? inset : outline;
   }
 
   // Point-in-polygon test using ray casting algorithm
   containsPoint(px, py, gap = 0) {
-    // First do quick bounding box check
-    if (px < this.x || px > this.x + this.width ||
-        py < this.y || py > this.y + this.height) {
-      return false;
-    }
-
-    // If no diagonal clips, bounding box is sufficient
+    // If no diagonal clips, the rectangle is the shape (a divider can
+    // push the outline past the rectangle, so only then is it a bound)
     if (this.diagonalClips.length === 0) {
-      return true;
+      return px >= this.x && px <= this.x + this.width &&
+             py >= this.y && py <= this.y + this.height;
     }
 
     // Use actual polygon for precise hit testing
@@ -187,15 +439,428 @@ class Cell {
   }
 }
 
+// ============================================
+// CELL CONTENT - Text drawn over a cell
+// ============================================
+
+// A cell's content: text blocks plus how they're laid out. Fields left at
+// their default are dropped (see normalizeContent); textOnly makes a text
+// tile, which never shows an image.
+const DEFAULT_CONTENT = {
+  badge: '', icon: '', title: '', caption: '',
+  align: 'left',      // 'left' | 'center' | 'right'
+  valign: 'bottom',   // 'top' | 'middle' | 'bottom'
+  font: 'sans',       // key of CONTENT_FONTS
+  overlay: 'auto',    // 'auto' (gradient behind the text, over images) | 'full' | 'none'
+  textOnly: false
+};
+
+// Blocks in drawing order, top to bottom; sizes in grid pixels
+const CONTENT_BLOCKS = [
+  { key: 'badge', size: 11, weight: 600, lineHeight: 1.6 },
+  { key: 'icon', size: 26, weight: 400, lineHeight: 1.3 },
+  { key: 'title', size: 20, weight: 700, lineHeight: 1.2 },
+  { key: 'caption', size: 13, weight: 400, lineHeight: 1.4 }
+];
+
+const CONTENT_FONTS = {
+  sans: '"Inter", system-ui, -apple-system, "Segoe UI", sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: 'ui-monospace, Menlo, Consolas, monospace'
+};
+
+const CONTENT_PADDING = 14;
+
+// Just the known fields that differ from their default, or null if none do
+function normalizeContent(content) {
+  if (!content) return null;
+  const changed = {};
+  for (const key of Object.keys(DEFAULT_CONTENT)) {
+    if (key in content && content[key] !== DEFAULT_CONTENT[key]) changed[key] = content[key];
+  }
+  return Object.keys(changed).length > 0 ? changed : null;
+}
+
+// Greedy word wrap; explicit newlines start a new line
+function wrapText(ctx, text, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? line + ' ' + word : word;
+      if (line && ctx.measureText(candidate).width > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Draw content inside the cell's current bounding box; the caller has
+// clipped to the cell. Text is wrapped to the box every frame, so it
+// reflows as physics resizes the cell, and lines that no longer fit are
+// dropped with an ellipsis on the last one kept.
+function drawCellContent(ctx, content, box, overImage) {
+  content = { ...DEFAULT_CONTENT, ...content };
+  const pad = CONTENT_PADDING;
+  const width = box.maxX - box.minX - pad * 2;
+  const height = box.maxY - box.minY - pad * 2;
+  if (width < 24 || height < 12) return;
+
+  const family = CONTENT_FONTS[content.font] || CONTENT_FONTS.sans;
+  const lines = [];
+  let used = 0;
+  let clipped = false;
+  for (const block of CONTENT_BLOCKS) {
+    const text = content[block.key];
+    if (!text || clipped) continue;
+    ctx.font = `${block.weight} ${block.size}px ${family}`;
+    const blockWidth = block.key === 'badge' ? width - 12 : width;
+    for (const line of wrapText(ctx, text, blockWidth)) {
+      const lineHeight = block.size * block.lineHeight;
+      if (used + lineHeight > height) {
+        clipped = true;
+        break;
+      }
+      lines.push({ block, text: line, font: ctx.font, lineHeight });
+      used += lineHeight;
+    }
+  }
+  if (lines.length === 0) return;
+  if (clipped) {
+    const last = lines[lines.length - 1];
+    ctx.font = last.font;
+    let text = last.text;
+    while (text && ctx.measureText(text + '…').width > width) text = text.slice(0, -1);
+    last.text = text + '…';
+  }
+
+  let y = content.valign === 'top' ? box.minY + pad
+    : content.valign === 'middle' ? (box.minY + box.maxY - used) / 2
+    : box.maxY - pad - used;
+
+  // Scrim so white text reads over busy images
+  if (content.overlay === 'full' || (content.overlay === 'auto' && overImage && content.valign === 'middle')) {
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.45)';
+    ctx.fillRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY);
+  } else if (content.overlay === 'auto' && overImage) {
+    const reach = Math.min(used + pad * 3, box.maxY - box.minY);
+    const top = content.valign === 'top';
+    const from = top ? box.minY : box.maxY;
+    const to = top ? box.minY + reach : box.maxY - reach;
+    const gradient = ctx.createLinearGradient(0, from, 0, to);
+    gradient.addColorStop(0, 'rgba(15, 23, 42, 0.75)');
+    gradient.addColorStop(1, 'rgba(15, 23, 42, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(box.minX, Math.min(from, to), box.maxX - box.minX, reach);
+  }
+
+  const x = content.align === 'center' ? (box.minX + box.maxX) / 2
+    : content.align === 'right' ? box.maxX - pad
+    : box.minX + pad;
+  ctx.textAlign = content.align;
+  ctx.textBaseline = 'middle';
+  for (const { block, text, font, lineHeight } of lines) {
+    ctx.font = font;
+    const middle = y + lineHeight / 2;
+    if (block.key === 'badge') {
+      // Tag chip behind the badge text
+      const chipWidth = ctx.measureText(text).width + 12;
+      const chipLeft = content.align === 'center' ? x - chipWidth / 2 : content.align === 'right' ? x - chipWidth : x;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.fillRect(chipLeft, middle - block.size * 0.75, chipWidth, block.size * 1.5);
+      ctx.fillStyle = '#0f172a';
+      ctx.textAlign = 'center';
+      ctx.fillText(text, chipLeft + chipWidth / 2, middle);
+      ctx.textAlign = content.align;
+    } else {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(text, x, middle);
+    }
+    y += lineHeight;
+  }
+}
+
+// ============================================
+// MEDIA - Images and videos drawn into cells
+// ============================================
+
+// Sources treated as video when nothing else says so
+const VIDEO_EXTENSIONS = /\.(mp4|webm|ogv|mov|m4v)([?#]|$)/i;
+
+// A cell's image is an <img> (animated GIF/WebP/APNG included, since
+// every frame is redrawn) or a muted, looping <video> that plays while
+// its cell is hovered
+function createMedia(src, video = VIDEO_EXTENSIONS.test(src)) {
+  const media = document.createElement(video ? 'video' : 'img');
+  media.crossOrigin = 'anonymous';
+  if (video) {
+    media.muted = true;
+    media.loop = true;
+    media.playsInline = true;
+    media.preload = 'auto';
+  }
+  media.src = src;
+  return media;
+}
+
+function isVideo(media) {
+  return media?.tagName === 'VIDEO';
+}
+
+// Intrinsic size once there's a frame to draw, else null
+function getMediaSize(media) {
+  if (!media) return null;
+  if (isVideo(media)) {
+    return media.readyState >= 2 && media.videoWidth > 0 ? { width: media.videoWidth, height: media.videoHeight } : null;
+  }
+  return media.complete && media.naturalWidth > 0 ? { width: media.naturalWidth, height: media.naturalHeight } : null;
+}
+
+// Start of media `size` long drawn over [min, max] on one axis, putting
+// its focal point (`focus`, 0-1 along the media) as near the middle as
+// it can go without uncovering either end
+function placeMedia(min, max, size, focus = 0.5) {
+  if (size <= max - min) return (min + max - size) / 2;
+  return Math.min(min, Math.max(max - size, (min + max) / 2 - size * focus));
+}
+
+// Resolves once `media` has a size to read, or has failed to load
+function mediaReady(media) {
+  if (getMediaSize(media)) return Promise.resolve(media);
+  return new Promise(resolve => {
+    const done = () => resolve(media);
+    media.addEventListener(isVideo(media) ? 'loadeddata' : 'load', done, { once: true });
+    media.addEventListener('error', done, { once: true });
+  });
+}
+
+// Index into `sizes` for each of `cells`, so put the cells that matter
+// most first: each takes the unused size whose aspect ratio is closest to
+// the cell's rest shape (its shape at full hoverScale too), keeping
+// cropping down. Sizes are reused once all are taken; unknown ones
+// count as square.
+function matchAspects(cells, sizes) {
+  const available = new Set();
+  return cells.map(cell => {
+    if (available.size === 0) sizes.forEach((size, i) => available.add(i));
+    const target = Math.log(cell.restWidth / cell.restHeight);
+    let best = -1;
+    let bestError = Infinity;
+    for (const i of available) {
+      const error = Math.abs((sizes[i] ? Math.log(sizes[i].width / sizes[i].height) : 0) - target);
+      if (error < bestError) {
+        best = i;
+        bestError = error;
+      }
+    }
+    available.delete(best);
+    return best;
+  });
+}
+
+function isVideoFile(file) {
+  return file.type ? file.type.startsWith('video/') : VIDEO_EXTENSIONS.test(file.name);
+}
+
+function isMediaFile(file) {
+  return /^(image|video)\//.test(file.type) || /\.(jpe?g|png|gif|webp|avif|svg|mp4|webm|ogv|mov|m4v)$/i.test(file.name);
+}
+
+// Media files from a drop, folders included (walked recursively, in path
+// order). Entries must be taken from the DataTransfer before any await.
+async function collectDroppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+  if (entries.length === 0) return [...dataTransfer.files].filter(isMediaFile);
+
+  const found = [];
+  const walk = async entry => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      found.push({ path: entry.fullPath, file });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns a directory's entries in batches, then an empty one
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        for (const child of batch) await walk(child);
+      }
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return found
+    .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }))
+    .map(({ file }) => file)
+    .filter(isMediaFile);
+}
+
+function readAsDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Play or pause a video to match whether its cell is showing it off
+function syncVideo(media, playing) {
+  if (!isVideo(media) || playing === !media.paused) return;
+  if (playing) media.play().catch(() => {});
+  else media.pause();
+}
+
+// ============================================
+// IMAGE PROVIDERS - Where Populate gets media from
+// ============================================
+
+// A provider's `sources(requests, { source, data })` maps requests
+// { cell, width, height, seed } to media: a URL or { src, video } each,
+// or null to leave that cell's color showing. `width` x `height` is the
+// cell at full expansion, where media is drawn unzoomed, and `seed` is
+// stable per cell (see getImageSeeds). Providers that take text (a URL
+// list, a manifest address) describe it in `input`; `load(source, files)`
+// prepares data once per source, with the local files as { file, url }.
+const IMAGE_PROVIDERS = {};
+
+function registerImageProvider(name, label, sources, { input = null, load = null } = {}) {
+  IMAGE_PROVIDERS[name] = { label, sources, input, load };
+}
+
+// Sized SVG, so placeholders need neither a network nor a canvas
+function svgDataURL(width, height, body) {
+  return 'data:image/svg+xml,' + encodeURIComponent(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${body}</svg>`
+  );
+}
+
+// Entries ({ src, width, height, video }) for each request by aspect
+// ratio, largest cells choosing first (see matchAspects)
+function matchEntries(requests, entries) {
+  if (entries.length === 0) return requests.map(() => null);
+  const order = requests.map((request, i) => i)
+    .sort((a, b) => requests[b].width * requests[b].height - requests[a].width * requests[a].height);
+  const picks = matchAspects(order.map(i => requests[i].cell), entries.map(entry => (entry.width && entry.height ? entry : null)));
+  const matched = [];
+  order.forEach((request, i) => { matched[request] = entries[picks[i]]; });
+  return matched;
+}
+
+registerImageProvider('picsum', 'Picsum photos', requests => requests.map(({ width, height, seed }) =>
+  `https://picsum.photos/seed/${seed}/${width}/${height}`));
+
+registerImageProvider('urls', 'URL list', (requests, { source }) => {
+  const urls = source.split('\n').map(line => line.trim()).filter(Boolean);
+  return requests.map((request, i) => (urls.length > 0 ? urls[i % urls.length] : null));
+}, { input: 'One image or video URL per line, used in turn' });
+
+registerImageProvider('manifest', 'JSON manifest', (requests, { data }) => matchEntries(requests, data || []), {
+  input: 'URL of a JSON list of image URLs or { "src", "width", "height" } entries',
+  load: async source => {
+    const response = await fetch(source.trim());
+    if (!response.ok) throw new Error(`Manifest request failed (${response.status})`);
+    const json = await response.json();
+    const list = Array.isArray(json) ? json : json.images;
+    if (!Array.isArray(list)) throw new Error('Manifest is not a list of images');
+    // Entry URLs are relative to the manifest
+    return list
+      .map(entry => (typeof entry === 'string' ? { src: entry } : entry))
+      .filter(entry => entry && entry.src)
+      .map(entry => ({ ...entry, src: new URL(entry.src, response.url).href }));
+  }
+});
+
+registerImageProvider('local', 'Local files', (requests, { data }) => matchEntries(requests, data || []), {
+  load: (source, files) => Promise.all(files.map(async ({ file, url }) => {
+    const media = await mediaReady(createMedia(url, isVideoFile(file)));
+    return { src: url, video: isVideo(media), ...getMediaSize(media) };
+  }))
+});
+
+registerImageProvider('solid', 'Solid placeholders', requests => requests.map(({ width, height, seed }) => {
+  const hue = Math.floor(createRng(parseInt(seed, 36))() * 360);
+  return svgDataURL(width, height, `<rect width="100%" height="100%" fill="hsl(${hue}, 55%, 45%)"/>`);
+}));
+
+registerImageProvider('gradient', 'Gradient placeholders', requests => requests.map(({ width, height, seed }) => {
+  const rng = createRng(parseInt(seed, 36));
+  const [from, to, angle] = [rng(), rng(), rng()].map(v => Math.floor(v * 360));
+  return svgDataURL(width, height,
+    `<defs><linearGradient id="g" gradientTransform="rotate(${angle} 0.5 0.5)">` +
+    `<stop offset="0" stop-color="hsl(${from}, 70%, 55%)"/><stop offset="1" stop-color="hsl(${to}, 60%, 35%)"/>` +
+    '</linearGradient></defs><rect width="100%" height="100%" fill="url(#g)"/>');
+}));
+
+// Tiles for the 'pattern' provider, `size` square in `ink`: stripes,
+// dots, checks and a grid
+const PATTERN_TILES = [
+  (size, ink) => `<rect width="${size / 2}" height="${size}" fill="${ink}"/>`,
+  (size, ink) => `<circle cx="${size / 2}" cy="${size / 2}" r="${size / 5}" fill="${ink}"/>`,
+  (size, ink) => `<rect width="${size / 2}" height="${size / 2}" fill="${ink}"/><rect x="${size / 2}" y="${size / 2}" width="${size / 2}" height="${size / 2}" fill="${ink}"/>`,
+  (size, ink) => `<path d="M0 0H${size}M0 0V${size}" stroke="${ink}" stroke-width="${size / 8}"/>`
+];
+
+registerImageProvider('pattern', 'Pattern tiles', requests => requests.map(({ width, height, seed }) => {
+  const rng = createRng(parseInt(seed, 36));
+  const hue = Math.floor(rng() * 360);
+  const tile = PATTERN_TILES[Math.floor(rng() * PATTERN_TILES.length)];
+  const size = 16 + Math.floor(rng() * 4) * 8;
+  const angle = Math.floor(rng() * 4) * 45;
+  return svgDataURL(width, height,
+    `<defs><pattern id="p" width="${size}" height="${size}" patternUnits="userSpaceOnUse" patternTransform="rotate(${angle})">` +
+    tile(size, `hsl(${(hue + 40) % 360}, 70%, 60%)`) + '</pattern></defs>' +
+    `<rect width="100%" height="100%" fill="hsl(${hue}, 45%, 25%)"/><rect width="100%" height="100%" fill="url(#p)"/>`);
+}));
+
+// Offline stub: a plain tile labelled with its size, for working without
+// a network and for tests
+registerImageProvider('stub', 'Offline stub', requests => requests.map(({ width, height }) =>
+  svgDataURL(width, height,
+    '<rect width="100%" height="100%" fill="#334155"/>' +
+    `<text x="50%" y="50%" fill="#94a3b8" font-family="sans-serif" font-size="14" text-anchor="middle" dominant-baseline="middle">${width} × ${height}</text>`)));
+
 // ============================================
 // EDGE GRID - Manages all edges and cells
 // ============================================
 
+// Module for the 'columns' strategy: the grid is divided into `columns` x
+// `rows` units and every cell spans a whole number of them, within the
+// min/max span limits
+const DEFAULT_COLUMN_GRID = {
+  columns: 12, rows: 4,
+  minColSpan: 2, maxColSpan: 6,
+  minRowSpan: 1, maxRowSpan: 2
+};
+
 class EdgeGrid {
-  constructor(width, height) {
+  constructor(width, height, seed = randomSeed()) {
     this.width = width;
     this.height = height;
 
+    // Every random decision in generation draws from this stream
+    this.seed = seed >>> 0;
+    this.random = createRng(this.seed);
+
+    // How free space is filled; a key of LAYOUT_STRATEGIES
+    this.strategy = 'subdivide';
+    this.columnGrid = { ...DEFAULT_COLUMN_GRID };
+
+    // Content list and aspect bound for the 'weighted' strategy
+    this.items = [];
+    this.maxAspect = 3;
+    this.pendingAreas = [];
+    this.worstAspect = 0;
+    this.curveCount = 0;          // curved dividers to place alongside straight ones
+    this.diagonalsRequested = 0;
+    this.curvesRequested = 0;
+
     this.edges = new Map();        // id -> Edge
     this.diagonals = new Map();    // id -> DiagonalEdge
     this.cells = [];
@@ -217,14 +882,23 @@ class EdgeGrid {
     return edge;
   }
 
-  createDiagonal(x1, y1, x2, y2) {
+  createDiagonal(x1, y1, x2, y2, orientation) {
     const id = `d${this.diagonalIdCounter++}`;
-    const diag = new DiagonalEdge(id, x1, y1, x2, y2);
+    const diag = new DiagonalEdge(id, x1, y1, x2, y2, orientation);
     this.diagonals.set(id, diag);
     return diag;
   }
 
-  generate(depth = 5, minSize = 60, diagonalCount = 0, maxHoverScale = 1.5) {
+  createCurve(x1, y1, x2, y2, c1, c2, orientation) {
+    const id = `d${this.diagonalIdCounter++}`;
+    const curve = new CurvedEdge(id, x1, y1, x2, y2, c1, c2, orientation);
+    this.diagonals.set(id, curve);
+    return curve;
+  }
+
+  // `locked` is a list of { bounds, source } regions (see carve) that are
+  // rebuilt as-is; only the free area around them is subdivided
+  generate(depth = 5, minSize = 60, diagonalCount = 0, maxHoverScale = 1.5, locked = []) {
     // Reset
     const boundaryIds = new Set([
       this.topBoundary.id, this.bottomBoundary.id,
@@ -236,16 +910,109 @@ class EdgeGrid {
     }
     this.diagonals.clear();
     this.cells = [];
+    this.random = createRng(this.seed);
 
-    // Subdivide
-    this.subdivide(
+    // Carve out locked regions, subdividing the free space between them
+    this.carve(
       this.topBoundary, this.bottomBoundary,
       this.leftBoundary, this.rightBoundary,
-      depth, minSize
+      this.fitLockedRegions(locked), depth, minSize
     );
+    const strategy = LAYOUT_STRATEGIES[this.strategy];
+    if (strategy && strategy.finish) strategy.finish(this);
 
     // Add diagonals between eligible adjacent cell pairs
-    this.addDiagonals(diagonalCount, maxHoverScale);
+    this.addDiagonals(diagonalCount, maxHoverScale, this.curveCount);
+  }
+
+  // Keep locked regions that lie inside the grid and don't overlap an
+  // earlier one
+  fitLockedRegions(locked) {
+    const eps = 0.5;
+    const fitted = [];
+    for (const region of locked) {
+      const b = region.bounds;
+      if (b.left < -eps || b.top < -eps || b.right > this.width + eps || b.bottom > this.height + eps) continue;
+      if (b.right - b.left < 1 || b.bottom - b.top < 1) continue;
+
+      const overlaps = fitted.some(({ bounds: o }) =>
+        b.left < o.right - eps && b.right > o.left + eps && b.top < o.bottom - eps && b.bottom > o.top + eps);
+      if (!overlaps) fitted.push(region);
+    }
+    return fitted;
+  }
+
+  // Guillotine-cut the area along locked region boundaries until every
+  // piece is either exactly one locked region or free space to subdivide
+  carve(topEdge, bottomEdge, leftEdge, rightEdge, regions, depth, minSize) {
+    if (regions.length === 0) {
+      this.fill(topEdge, bottomEdge, leftEdge, rightEdge, depth, minSize);
+      return;
+    }
+
+    const eps = 0.5;
+    const area = { top: topEdge.rest, bottom: bottomEdge.rest, left: leftEdge.rest, right: rightEdge.rest };
+
+    if (regions.length === 1) {
+      const b = regions[0].bounds;
+      if (Math.abs(b.left - area.left) < eps && Math.abs(b.right - area.right) < eps &&
+          Math.abs(b.top - area.top) < eps && Math.abs(b.bottom - area.bottom) < eps) {
+        const cell = new Cell(this.cells.length, topEdge, bottomEdge, leftEdge, rightEdge);
+        cell.copyContentFrom(regions[0].source);
+        cell.locked = true;
+        this.cells.push(cell);
+        return;
+      }
+    }
+
+    // Candidate cuts: region sides strictly inside the area that no
+    // region straddles
+    const cuts = [];
+    for (const { bounds: b } of regions) {
+      for (const [position, horizontal] of [[b.top, true], [b.bottom, true], [b.left, false], [b.right, false]]) {
+        const lo = horizontal ? area.top : area.left;
+        const hi = horizontal ? area.bottom : area.right;
+        if (position <= lo + eps || position >= hi - eps) continue;
+
+        const straddled = regions.some(({ bounds: o }) => horizontal
+          ? o.top < position - eps && o.bottom > position + eps
+          : o.left < position - eps && o.right > position + eps);
+        if (!straddled) cuts.push({ position, horizontal });
+      }
+    }
+
+    // Non-guillotine arrangements can't be carved; give up the last lock
+    if (cuts.length === 0) {
+      this.carve(topEdge, bottomEdge, leftEdge, rightEdge, regions.slice(0, -1), depth, minSize);
+      return;
+    }
+
+    const { position, horizontal } = cuts[Math.floor(this.random() * cuts.length)];
+    const splitEdge = this.createEdge(position, horizontal);
+    const before = regions.filter(({ bounds: b }) => (horizontal ? b.bottom : b.right) <= position + eps);
+    const after = regions.filter(region => !before.includes(region));
+    const nextDepth = Math.max(0, depth - 1);
+
+    if (horizontal) {
+      this.carve(topEdge, splitEdge, leftEdge, rightEdge, before, nextDepth, minSize);
+      this.carve(splitEdge, bottomEdge, leftEdge, rightEdge, after, nextDepth, minSize);
+    } else {
+      this.carve(topEdge, bottomEdge, leftEdge, splitEdge, before, nextDepth, minSize);
+      this.carve(topEdge, bottomEdge, splitEdge, rightEdge, after, nextDepth, minSize);
+    }
+  }
+
+  // Fill a free area with cells using the current strategy (see
+  // LAYOUT_STRATEGIES)
+  fill(topEdge, bottomEdge, leftEdge, rightEdge, depth, minSize) {
+    const strategy = LAYOUT_STRATEGIES[this.strategy] || LAYOUT_STRATEGIES.subdivide;
+    strategy.fill(this, topEdge, bottomEdge, leftEdge, rightEdge, depth, minSize);
+  }
+
+  addCell(topEdge, bottomEdge, leftEdge, rightEdge) {
+    const cell = new Cell(this.cells.length, topEdge, bottomEdge, leftEdge, rightEdge);
+    this.cells.push(cell);
+    return cell;
   }
 
   subdivide(topEdge, bottomEdge, leftEdge, rightEdge, depth, minSize) {
@@ -266,10 +1033,10 @@ class EdgeGrid {
     } else if (height < minSize * 1.5) {
       splitHorizontal = false;
     } else {
-      splitHorizontal = Math.random() < (aspectRatio < 1 ? 0.7 : 0.3);
+      splitHorizontal = this.random() < (aspectRatio < 1 ? 0.7 : 0.3);
     }
 
-    const splitRatio = 0.3 + Math.random() * 0.4;
+    const splitRatio = 0.3 + this.random() * 0.4;
 
     if (splitHorizontal) {
       const splitY = topEdge.rest + height * splitRatio;
@@ -286,147 +1053,1154 @@ class EdgeGrid {
     }
   }
 
-  // Find pairs of adjacent cells and add diagonal edges between them
-  addDiagonals(count, maxHoverScale = 1.5) {
-    if (count <= 0) return;
+  // Like subdivide, but splits only land on column/row module lines.
+  // Spans above the max are always split (even past depth), and a split
+  // is only offered where both sides keep at least the min span.
+  subdivideModular(topEdge, bottomEdge, leftEdge, rightEdge, depth) {
+    const g = this.columnGrid;
+    const colWidth = this.width / g.columns;
+    const rowHeight = this.height / g.rows;
+    const eps = 0.5;
+
+    const left = leftEdge.rest, right = rightEdge.rest;
+    const top = topEdge.rest, bottom = bottomEdge.rest;
+
+    // Module lines far enough from both sides to respect the min span
+    const linesBetween = (start, end, unit, minSpan, count) => {
+      const lines = [];
+      for (let k = 1; k < count; k++) {
+        const pos = k * unit;
+        if (pos >= start + minSpan * unit - eps && pos <= end - minSpan * unit + eps) lines.push(pos);
+      }
+      return lines;
+    };
+    const colLines = linesBetween(left, right, colWidth, g.minColSpan, g.columns);
+    const rowLines = linesBetween(top, bottom, rowHeight, g.minRowSpan, g.rows);
+
+    const mustSplitCols = (right - left) / colWidth > g.maxColSpan + 0.01 && colLines.length > 0;
+    const mustSplitRows = (bottom - top) / rowHeight > g.maxRowSpan + 0.01 && rowLines.length > 0;
+
+    if (!mustSplitCols && !mustSplitRows && (depth <= 0 || (colLines.length === 0 && rowLines.length === 0))) {
+      const cell = new Cell(this.cells.length, topEdge, bottomEdge, leftEdge, rightEdge);
+      this.cells.push(cell);
+      return;
+    }
+
+    let splitHorizontal;
+    if (mustSplitCols !== mustSplitRows) {
+      splitHorizontal = mustSplitRows;
+    } else if (colLines.length === 0 || rowLines.length === 0) {
+      splitHorizontal = colLines.length === 0;
+    } else {
+      const aspectRatio = (right - left) / (bottom - top);
+      splitHorizontal = this.random() < (aspectRatio < 1 ? 0.7 : 0.3);
+    }
+
+    // Same 0.3-0.7 bias as subdivide, snapped to the nearest module line
+    const lines = splitHorizontal ? rowLines : colLines;
+    const start = splitHorizontal ? top : left;
+    const size = splitHorizontal ? bottom - top : right - left;
+    const target = start + size * (0.3 + this.random() * 0.4);
+    const position = lines.reduce((best, pos) => (Math.abs(pos - target) < Math.abs(best - target) ? pos : best));
+    const splitEdge = this.createEdge(position, splitHorizontal);
+
+    if (splitHorizontal) {
+      this.subdivideModular(topEdge, splitEdge, leftEdge, rightEdge, depth - 1);
+      this.subdivideModular(splitEdge, bottomEdge, leftEdge, rightEdge, depth - 1);
+    } else {
+      this.subdivideModular(topEdge, bottomEdge, leftEdge, splitEdge, depth - 1);
+      this.subdivideModular(topEdge, bottomEdge, splitEdge, rightEdge, depth - 1);
+    }
+  }
+
+  // Place up to `count` dividers between neighbours that share an edge.
+  // A divider spans only the stretch of edge the two cells have in common,
+  // so they needn't line up, and a cell can take several as long as the
+  // regions the dividers reshape stay apart. `curves` more are curved
+  // (see CurvedEdge), interleaved with the straight ones. The requests are
+  // kept in diagonalsRequested/curvesRequested so callers can report how
+  // many fitted.
+  addDiagonals(count, maxHoverScale = 1.5, curves = 0) {
+    this.diagonalsRequested = count;
+    this.curvesRequested = curves;
+    if (count + curves <= 0) return;
 
     // Calculate overlap fraction based on max hover scale
     // For scale S, expansion per side = (S-1)/2, plus 10% buffer for safety
     const overlapFraction = (maxHoverScale - 1) / 2 + 0.1;
+    const minSpan = 60;       // shortest shared stretch worth a divider
+    const minSlant = 8;       // below this the divider reads as a straight edge
+    const clearance = 30;     // room between reshaped regions (fits the widest gap)
 
-    // Find all pairs of cells that share an edge and are aligned
+    // Every neighbour pair across a shared edge; `first` is the left/top cell
     const pairs = [];
+    for (const first of this.cells) {
+      for (const second of this.cells) {
+        if (first === second || first.locked || second.locked) continue;
+        if (first.right === second.left) pairs.push({ vertical: true, first, second });
+        if (first.bottom === second.top) pairs.push({ vertical: false, first, second });
+      }
+    }
 
-    for (let i = 0; i < this.cells.length; i++) {
-      for (let j = i + 1; j < this.cells.length; j++) {
-        const a = this.cells[i];
-        const b = this.cells[j];
-
-        // Check for horizontal neighbors (share vertical edge)
-        if (a.right === b.left &&
-            Math.abs(a.top.rest - b.top.rest) < 1 &&
-            Math.abs(a.bottom.rest - b.bottom.rest) < 1) {
-          pairs.push({ type: 'horizontal', left: a, right: b });
-        } else if (b.right === a.left &&
-                   Math.abs(a.top.rest - b.top.rest) < 1 &&
-                   Math.abs(a.bottom.rest - b.bottom.rest) < 1) {
-          pairs.push({ type: 'horizontal', left: b, right: a });
-        }
+    const regions = [];
+    let added = 0;
+    let curvesAdded = 0;
+
+    for (const { vertical, first, second } of shuffle(pairs, this.random)) {
+      if (added + curvesAdded >= count + curves) break;
+      const curved = curvesAdded < curves && (added >= count || curvesAdded * count <= added * curves);
+
+      // Stretch of the shared edge both cells border, and the edges it ends on
+      const [startSide, endSide] = vertical ? ['top', 'bottom'] : ['left', 'right'];
+      const startEdge = first[startSide].rest >= second[startSide].rest ? first[startSide] : second[startSide];
+      const endEdge = first[endSide].rest <= second[endSide].rest ? first[endSide] : second[endSide];
+      const span = endEdge.rest - startEdge.rest;
+      if (span < minSpan) continue;
+
+      const depth = cell => (vertical ? cell.restWidth : cell.restHeight);
+      const slant = Math.min(span, depth(first), depth(second)) * overlapFraction;
+      if (slant < minSlant) continue;
+
+      // The divider only reshapes the box around the shared stretch; boxes
+      // that stay apart can't interfere with each other
+      const at = vertical ? first.right.rest : first.bottom.rest;
+      const region = vertical
+        ? { left: at - slant, right: at + slant, top: startEdge.rest, bottom: endEdge.rest }
+        : { left: startEdge.rest, right: endEdge.rest, top: at - slant, bottom: at + slant };
+      if (regions.some(o => region.left < o.right + clearance && region.right > o.left - clearance &&
+                            region.top < o.bottom + clearance && region.bottom > o.top - clearance)) continue;
+
+      // Vertical dividers run top-to-bottom, horizontal ones right-to-left,
+      // so the left/top cell is always on the positive side
+      const flip = this.random() < 0.5 ? 1 : -1;
+      const [start, end] = vertical ? [startEdge, endEdge] : [endEdge, startEdge];
+      const [along1, along2] = [start.rest, end.rest];
+      const point = (u, v) => (vertical ? [v, u] : [u, v]);
+      let diag;
+      if (curved) {
+        // Curves leave and rejoin the shared edge at its ends and swing at
+        // most `slant` off it: a single bulge, or an S (whose control
+        // points have to reach further out for the same swing)
+        const bulge = this.random() < 0.5;
+        const reach = slant * (bulge ? 4 / 3 : 2 * Math.sqrt(3)) * flip;
+        diag = this.createCurve(...point(along1, at), ...point(along2, at), at + reach, at + (bulge ? reach : -reach), vertical ? 'vertical' : 'horizontal');
+      } else {
+        diag = this.createDiagonal(...point(along1, at + slant * flip), ...point(along2, at - slant * flip), vertical ? 'vertical' : 'horizontal');
+      }
+      diag.endEdges = [start, end];
+
+      const firstClip = { diagonal: diag, keepSide: 'positive' };
+      const secondClip = { diagonal: diag, keepSide: 'negative' };
+      first.diagonalClips.push(firstClip);
+      second.diagonalClips.push(secondClip);
+
+      // Thin cells can't take the gap around a step; undo those
+      const fits = cell => {
+        const outline = cell.getOutline();
+        const inset = insetPolygon(outline, clearance / 4);
+        return isSimplePolygon(outline) && inset && isSimplePolygon(inset);
+      };
+      if (!fits(first) || !fits(second)) {
+        first.diagonalClips.splice(first.diagonalClips.indexOf(firstClip), 1);
+        second.diagonalClips.splice(second.diagonalClips.indexOf(secondClip), 1);
+        this.diagonals.delete(diag.id);
+        continue;
+      }
+
+      regions.push(region);
+      if (curved) curvesAdded++;
+      else added++;
+    }
+  }
+
+  // Rebuild a grid from serializeGrid() output, scaling rest positions
+  // so the layout fills a container of the given size
+  static fromJSON(data, width = data.width, height = data.height) {
+    if (!data || !data.edges || !data.cells) {
+      throw new Error('Invalid grid data: expected edges and cells');
+    }
+
+    const sx = data.width ? width / data.width : 1;
+    const sy = data.height ? height / data.height : 1;
+    const grid = new EdgeGrid(width, height, data.seed);
+    grid.edges.clear();
+    grid.diagonalsRequested = data.diagonalsRequested || 0;
+    grid.curvesRequested = data.curvesRequested || 0;
+
+    const idNumber = id => parseInt(String(id).slice(1), 10) || 0;
+
+    for (const e of Object.values(data.edges)) {
+      const edge = new Edge(e.id, e.rest * (e.isHorizontal ? sy : sx), e.isHorizontal, e.isBoundary);
+      grid.edges.set(edge.id, edge);
+      grid.edgeIdCounter = Math.max(grid.edgeIdCounter, idNumber(e.id) + 1);
+
+      if (e.isBoundary) {
+        if (e.isHorizontal && e.rest === 0) grid.topBoundary = edge;
+        if (e.isHorizontal && e.rest === data.height) grid.bottomBoundary = edge;
+        if (!e.isHorizontal && e.rest === 0) grid.leftBoundary = edge;
+        if (!e.isHorizontal && e.rest === data.width) grid.rightBoundary = edge;
+      }
+    }
+
+    for (const d of Object.values(data.diagonals || {})) {
+      const ends = [d.restX1 * sx, d.restY1 * sy, d.restX2 * sx, d.restY2 * sy];
+      const across = d.orientation === 'vertical' ? sx : sy;
+      const diag = d.controls
+        ? new CurvedEdge(d.id, ...ends, d.controls[0] * across, d.controls[1] * across, d.orientation)
+        : new DiagonalEdge(d.id, ...ends, d.orientation);
+      grid.diagonals.set(d.id, diag);
+      grid.diagonalIdCounter = Math.max(grid.diagonalIdCounter, idNumber(d.id) + 1);
+    }
+
+    grid.cells = data.cells.map(c => {
+      const edgeIds = [c.topId, c.bottomId, c.leftId, c.rightId];
+      const missing = edgeIds.find(id => !grid.edges.has(id));
+      if (missing) throw new Error(`Invalid grid data: cell ${c.id} references unknown edge ${missing}`);
+
+      const cell = new Cell(c.id, ...edgeIds.map(id => grid.edges.get(id)));
+      if (c.color) cell.color = c.color;
+      cell.link = c.link || null;
+      cell.linkTarget = c.linkTarget || '_blank';
+      cell.focus = c.focus || null;
+      cell.alt = c.alt || null;
+      cell.item = c.item || null;
+      cell.content = normalizeContent(c.content);
+      cell.locked = !!c.locked;
+      cell.diagonalClips = (c.diagonalClips || []).map(clip => {
+        const diagonal = grid.diagonals.get(clip.diagonalId);
+        if (!diagonal) throw new Error(`Invalid grid data: cell ${c.id} references unknown diagonal ${clip.diagonalId}`);
+        return { diagonal, keepSide: clip.keepSide };
+      });
+      return cell;
+    });
 
-        // Check for vertical neighbors (share horizontal edge)
-        if (a.bottom === b.top &&
-            Math.abs(a.left.rest - b.left.rest) < 1 &&
-            Math.abs(a.right.rest - b.right.rest) < 1) {
-          pairs.push({ type: 'vertical', top: a, bottom: b });
-        } else if (b.bottom === a.top &&
-                   Math.abs(a.left.rest - b.left.rest) < 1 &&
-                   Math.abs(a.right.rest - b.right.rest) < 1) {
-          pairs.push({ type: 'vertical', top: b, bottom: a });
+    // Older saves lack orientation: a horizontal divider spans the full
+    // width of the cell on its positive side
+    for (const d of Object.values(data.diagonals || {})) {
+      if (d.orientation) continue;
+      const diag = grid.diagonals.get(d.id);
+      const owner = grid.cells.find(c => c.diagonalClips.some(k => k.diagonal === diag && k.keepSide === 'positive'));
+      if (!owner) continue;
+      const spansWidth = Math.abs(Math.min(diag.restX1, diag.restX2) - owner.left.rest) < 1 &&
+                         Math.abs(Math.max(diag.restX1, diag.restX2) - owner.right.rest) < 1;
+      diag.orientation = spansWidth ? 'horizontal' : 'vertical';
+    }
+
+    for (const d of Object.values(data.diagonals || {})) {
+      const diag = grid.diagonals.get(d.id);
+      if (d.endEdgeIds) {
+        diag.endEdges = d.endEdgeIds.map(id => grid.edges.get(id));
+        if (diag.endEdges.some(edge => !edge)) throw new Error(`Invalid grid data: diagonal ${d.id} references an unknown edge`);
+      } else if (d.endEdgeIds === undefined) {
+        grid.upgradeDiagonal(diag);
+      }
+    }
+    grid.pruneEdges();
+
+    return grid;
+  }
+
+  // Older saves gave each side of a divider its own edge, pushed out to the
+  // divider's far end so the cells overlapped. Swap those for one shared
+  // edge through the middle of the divider and attach its ends to the
+  // edges they sit on.
+  upgradeDiagonal(diag) {
+    const clippedBy = keepSide => this.cells.filter(c => c.diagonalClips.some(k => k.diagonal === diag && k.keepSide === keepSide));
+    const positive = clippedBy('positive');
+    const negative = clippedBy('negative');
+    if (positive.length === 0 || negative.length === 0) return;
+
+    const vertical = diag.orientation === 'vertical';
+    const key = vertical ? 'X' : 'Y';
+    const lo = Math.min(diag[`rest${key}1`], diag[`rest${key}2`]);
+    const hi = Math.max(diag[`rest${key}1`], diag[`rest${key}2`]);
+    const [far, near] = vertical ? ['right', 'left'] : ['bottom', 'top'];
+
+    if (positive.every(c => Math.abs(c[far].rest - hi) < 1) && negative.every(c => Math.abs(c[near].rest - lo) < 1)) {
+      const shared = this.createEdge((lo + hi) / 2, !vertical);
+      for (const cell of positive) cell[far] = shared;
+      for (const cell of negative) cell[near] = shared;
+    }
+
+    const along = vertical ? ['top', 'bottom'] : ['left', 'right'];
+    const edges = [...positive, ...negative].flatMap(c => along.map(side => c[side]));
+    const alongKey = vertical ? 'Y' : 'X';
+    const endEdges = ['1', '2'].map(end => edges.find(edge => Math.abs(edge.rest - diag[`rest${alongKey}${end}`]) < 1));
+    if (endEdges.every(Boolean)) diag.endEdges = endEdges;
+  }
+
+  // ----------------------------------------
+  // Editing - direct manipulation of rest positions
+  // ----------------------------------------
+
+  // Cells on either side of an edge: `before` ends at it, `after` starts at it
+  getEdgeNeighbors(edge) {
+    const before = [];
+    const after = [];
+    for (const cell of this.cells) {
+      if ((edge.isHorizontal ? cell.bottom : cell.right) === edge) before.push(cell);
+      if ((edge.isHorizontal ? cell.top : cell.left) === edge) after.push(cell);
+    }
+    return { before, after };
+  }
+
+  // Extent of an edge along its own axis, from the cells that use it
+  getEdgeSpan(edge) {
+    const { before, after } = this.getEdgeNeighbors(edge);
+    const cells = [...before, ...after];
+    if (cells.length === 0) return null;
+
+    return {
+      start: Math.min(...cells.map(c => (edge.isHorizontal ? c.left.rest : c.top.rest))),
+      end: Math.max(...cells.map(c => (edge.isHorizontal ? c.right.rest : c.bottom.rest)))
+    };
+  }
+
+  // Range an edge's rest position may move in without shrinking any
+  // neighbouring cell below minSize (never tighter than where it is now)
+  getEdgeLimits(edge, minSize) {
+    const { before, after } = this.getEdgeNeighbors(edge);
+    if ([...before, ...after].some(cell => cell.locked)) return { min: edge.rest, max: edge.rest };
+
+    let min = -Infinity;
+    let max = Infinity;
+
+    for (const cell of before) {
+      const inner = cell.getInnerRestBounds();
+      min = Math.max(min, (edge.isHorizontal ? inner.top : inner.left) + minSize);
+    }
+    for (const cell of after) {
+      const inner = cell.getInnerRestBounds();
+      max = Math.min(max, (edge.isHorizontal ? inner.bottom : inner.right) - minSize);
+    }
+
+    // Cells a divider clips keep spanning it from end to end
+    const runKey = edge.isHorizontal ? 'Y' : 'X';
+    for (const [, diag] of this.diagonals) {
+      if ((diag.orientation === 'vertical') !== edge.isHorizontal || diag.endEdges?.includes(edge)) continue;
+      const clips = cell => cell.diagonalClips.some(k => k.diagonal === diag);
+      const ends = [diag[`rest${runKey}1`], diag[`rest${runKey}2`]];
+      if (before.some(clips)) min = Math.max(min, ...ends);
+      if (after.some(clips)) max = Math.min(max, ...ends);
+    }
+
+    // A divider's ends stay within the stretch its two cells still share
+    for (const [, diag] of this.diagonals) {
+      if (!diag.endEdges || !diag.endEdges.includes(edge)) continue;
+      const other = diag.endEdges.find(e => e !== edge) || edge;
+      const clipped = this.cells.filter(c => c.diagonalClips.some(k => k.diagonal === diag));
+      const [startSide, endSide] = edge.isHorizontal ? ['top', 'bottom'] : ['left', 'right'];
+      if (edge.rest < other.rest) {
+        max = Math.min(max, other.rest - minSize);
+        for (const c of clipped) if (c[startSide] !== edge) min = Math.max(min, c[startSide].rest);
+      } else {
+        min = Math.max(min, other.rest + minSize);
+        for (const c of clipped) if (c[endSide] !== edge) max = Math.min(max, c[endSide].rest);
+      }
+    }
+
+    return { min: Math.min(min, edge.rest), max: Math.max(max, edge.rest) };
+  }
+
+  // Move every inner edge to bring each cell in `aspects` (cell -> width /
+  // height) closer to that shape, within the usual limits. Coordinate
+  // descent on the squared log-ratio error with a shrinking step.
+  fitAspects(aspects, minSize, passes = 30) {
+    const error = cells => cells.reduce((sum, cell) => {
+      const aspect = aspects.get(cell);
+      return aspect ? sum + Math.log(cell.restWidth / cell.restHeight / aspect) ** 2 : sum;
+    }, 0);
+
+    let step = Math.min(this.width, this.height) / 8;
+    for (let pass = 0; pass < passes; pass++) {
+      for (const [, edge] of this.edges) {
+        if (edge.isBoundary) continue;
+        const { before, after } = this.getEdgeNeighbors(edge);
+        const cells = [...before, ...after];
+        const start = edge.rest;
+        let best = start;
+        let bestError = error(cells);
+        for (const position of [start - step, start + step]) {
+          this.moveEdge(edge, position, minSize);
+          const moved = error(cells);
+          if (moved < bestError) {
+            best = edge.rest;
+            bestError = moved;
+          }
         }
+        this.moveEdge(edge, best, minSize);
+      }
+      step *= 0.75;
+    }
+  }
+
+  // Move an edge's rest position. Dividers running along it shift with it;
+  // dividers ending on it follow through their end edges.
+  moveEdge(edge, position, minSize) {
+    const { min, max } = this.getEdgeLimits(edge, minSize);
+    const target = Math.max(min, Math.min(max, position));
+    const delta = target - edge.rest;
+    if (delta === 0) return;
+
+    const across = edge.isHorizontal ? 'Y' : 'X';
+    const touched = new Set();
+    for (const cell of this.cells) {
+      for (const clip of cell.diagonalClips) {
+        if (cell[cell.getClipSide(clip)] === edge) touched.add(clip.diagonal);
+      }
+    }
+    for (const diag of touched) {
+      for (const end of ['1', '2']) {
+        diag[`rest${across}${end}`] += delta;
+        diag[`${across.toLowerCase()}${end}`] += delta;
+      }
+      if (diag instanceof CurvedEdge) {
+        diag.restC1 = diag.c1 = diag.restC1 + delta;
+        diag.restC2 = diag.c2 = diag.restC2 + delta;
+      }
+    }
+    for (const [, diag] of this.diagonals) {
+      if (!diag.endEdges) continue;
+      diag.endEdges.forEach((end, i) => {
+        if (end !== edge) return;
+        diag[`rest${across}${i + 1}`] = target;
+        diag[`${across.toLowerCase()}${i + 1}`] = target;
+      });
+    }
+
+    edge.rest = target;
+    edge.pos = target;
+  }
+
+  // True when a clip's divider runs along the cell: it crosses the side
+  // it belongs to, over a stretch the cell actually borders
+  clipCutsCell(cell, clip) {
+    const d = clip.diagonal;
+    const vertical = d.orientation === 'vertical';
+    const along = vertical ? 'Y' : 'X';
+    const at = cell[cell.getClipSide(clip)].rest;
+    const acrossRange = d.getRestAcross();
+    if (at < Math.min(...acrossRange) - 0.5 || at > Math.max(...acrossRange) + 0.5) return false;
+
+    const lo = Math.min(d[`rest${along}1`], d[`rest${along}2`]);
+    const hi = Math.max(d[`rest${along}1`], d[`rest${along}2`]);
+    const start = vertical ? cell.top.rest : cell.left.rest;
+    const end = vertical ? cell.bottom.rest : cell.right.rest;
+    return Math.min(hi, end) - Math.max(lo, start) > 0.5;
+  }
+
+  // Split a cell in two with a new edge (`horizontal` = top/bottom halves).
+  // The split lands inside the region the cell owns outright, so each
+  // diagonal clip stays only on the half it cuts, and is clamped so both
+  // halves keep at least `minSize` of it. Returns the new cell.
+  splitCell(cell, horizontal, ratio = 0.5, minSize = 0) {
+    const inner = cell.getInnerRestBounds();
+    const start = horizontal ? inner.top : inner.left;
+    const end = horizontal ? inner.bottom : inner.right;
+    const position = Math.max(start + minSize, Math.min(end - minSize, start + (end - start) * ratio));
+    const edge = this.createEdge(position, horizontal);
+
+    let other;
+    if (horizontal) {
+      other = new Cell(this.cells.length, edge, cell.bottom, cell.left, cell.right);
+      cell.bottom = edge;
+    } else {
+      other = new Cell(this.cells.length, cell.top, cell.bottom, edge, cell.right);
+      cell.right = edge;
+    }
+
+    const clips = cell.diagonalClips;
+    cell.diagonalClips = clips.filter(clip => this.clipCutsCell(cell, clip));
+    other.diagonalClips = clips.filter(clip => this.clipCutsCell(other, clip));
+
+    this.cells.push(other);
+    return other;
+  }
+
+  // Two cells merge when they line up along a full side and either share
+  // that edge or are the two halves of one diagonal. Returns null otherwise.
+  getMergePlan(a, b) {
+    if (a.locked || b.locked) return null;
+
+    for (const [first, second] of [[a, b], [b, a]]) {
+      for (const horizontal of [false, true]) {
+        const near = horizontal ? 'bottom' : 'right';
+        const far = horizontal ? 'top' : 'left';
+        const sides = horizontal ? ['left', 'right'] : ['top', 'bottom'];
+        if (!sides.every(side => Math.abs(first[side].rest - second[side].rest) < 1)) continue;
+
+        const shared = first.diagonalClips.find(clip =>
+          clip.keepSide === 'positive' &&
+          clip.diagonal.orientation === (horizontal ? 'horizontal' : 'vertical') &&
+          second.diagonalClips.some(other => other.diagonal === clip.diagonal));
+        const sharedDiagonal = shared ? shared.diagonal : null;
+
+        // Removing the diagonal is only safe when nothing else is clipped by it
+        if (sharedDiagonal && this.cells.some(cell => cell !== first && cell !== second &&
+            cell.diagonalClips.some(clip => clip.diagonal === sharedDiagonal))) continue;
+
+        // Any other diagonal on the facing sides belongs to a third cell
+        const blocked =
+          first.diagonalClips.some(clip => clip.diagonal !== sharedDiagonal && first.getClipSide(clip) === near) ||
+          second.diagonalClips.some(clip => clip.diagonal !== sharedDiagonal && second.getClipSide(clip) === far);
+        if (blocked) continue;
+        if (!sharedDiagonal && first[near] !== second[far]) continue;
+
+        return { first, second, horizontal, diagonal: sharedDiagonal };
+      }
+    }
+    return null;
+  }
+
+  // Merge two neighbours into the first (see getMergePlan). Cell ids are
+  // renumbered to stay equal to their index. Returns the merged cell.
+  mergeCells(a, b) {
+    const plan = this.getMergePlan(a, b);
+    if (!plan) return null;
+
+    const { first, second, horizontal, diagonal } = plan;
+    for (const side of horizontal ? ['left', 'right'] : ['top', 'bottom']) {
+      if (first[side] !== second[side]) this.replaceEdge(second[side], first[side]);
+    }
+    if (horizontal) first.bottom = second.bottom;
+    else first.right = second.right;
+
+    const clips = [...first.diagonalClips, ...second.diagonalClips].filter(clip => clip.diagonal !== diagonal);
+    first.diagonalClips = clips.filter((clip, i) =>
+      clips.findIndex(other => other.diagonal === clip.diagonal && other.keepSide === clip.keepSide) === i);
+    if (diagonal) this.diagonals.delete(diagonal.id);
+
+    this.cells.splice(this.cells.indexOf(second), 1);
+    this.cells.forEach((cell, i) => { cell.id = i; });
+    this.pruneEdges();
+    return first;
+  }
+
+  replaceEdge(edge, replacement) {
+    for (const cell of this.cells) {
+      for (const side of ['top', 'bottom', 'left', 'right']) {
+        if (cell[side] === edge) cell[side] = replacement;
+      }
+    }
+    for (const [, diag] of this.diagonals) {
+      if (diag.endEdges) diag.endEdges = diag.endEdges.map(end => (end === edge ? replacement : end));
+    }
+  }
+
+  // Drop interior edges no cell or divider end references any more
+  pruneEdges() {
+    const used = new Set();
+    for (const cell of this.cells) {
+      used.add(cell.top).add(cell.bottom).add(cell.left).add(cell.right);
+    }
+    for (const [, diag] of this.diagonals) {
+      if (diag.endEdges) diag.endEdges.forEach(edge => used.add(edge));
+    }
+    for (const [id, edge] of this.edges) {
+      if (!edge.isBoundary && !used.has(edge)) this.edges.delete(id);
+    }
+  }
+
+  // Slide one endpoint (1 or 2) of a diagonal along its axis, keeping it
+  // inside the cells on both sides
+  moveDiagonalEndpoint(diag, end, position, minSize) {
+    // A side may hold several cells once one half has been split again
+    const clippedBy = keepSide => this.cells.filter(c => c.diagonalClips.some(k => k.diagonal === diag && k.keepSide === keepSide));
+    const positive = clippedBy('positive');
+    const negative = clippedBy('negative');
+    if (positive.length === 0 || negative.length === 0) return;
+    if ([...positive, ...negative].some(cell => cell.locked)) return;
+
+    const vertical = diag.orientation === 'vertical';
+    const min = Math.max(...positive.map(c => (vertical ? c.left.rest : c.top.rest))) + minSize;
+    const max = Math.min(...negative.map(c => (vertical ? c.right.rest : c.bottom.rest))) - minSize;
+    const key = vertical ? 'X' : 'Y';
+    const target = Math.max(Math.min(min, max), Math.min(Math.max(min, max), position));
+
+    diag[`rest${key}${end}`] = target;
+    diag[`${key.toLowerCase()}${end}`] = target;
+  }
+}
+
+// ============================================
+// LAYOUT STRATEGIES - Ways to fill free space with cells
+// ============================================
+
+// Each strategy fills the area between four edges with cells. They must
+// build cells from grid.createEdge/addCell only, sharing one Edge between
+// neighbours, so physics and serialization work the same for all of them.
+// The optional `finish(grid)` runs once every free area has been filled.
+const LAYOUT_STRATEGIES = {};
+
+function registerLayoutStrategy(name, label, fill, finish = null) {
+  LAYOUT_STRATEGIES[name] = { label, fill, finish };
+}
+
+registerLayoutStrategy('subdivide', 'Random split', (grid, top, bottom, left, right, depth, minSize) => {
+  grid.subdivide(top, bottom, left, right, depth, minSize);
+});
+
+registerLayoutStrategy('columns', 'Column grid', (grid, top, bottom, left, right, depth) => {
+  grid.subdivideModular(top, bottom, left, right, depth);
+});
+
+registerLayoutStrategy('treemap', 'Treemap', (grid, top, bottom, left, right, depth, minSize) => {
+  // About as many cells as subdivide would make, scaled by the share of
+  // the grid this area covers and capped so cells stay above minSize
+  const area = (right.rest - left.rest) * (bottom.rest - top.rest);
+  const share = area / (grid.width * grid.height);
+  const count = Math.max(1, Math.min(
+    Math.round(Math.pow(2, depth) * 0.75 * share),
+    Math.floor(area / (minSize * minSize * 1.5))
+  ));
+  const weights = Array.from({ length: count }, () => 1 + Math.pow(grid.random(), 2) * 9);
+  squarify(grid, top, bottom, left, right, weights);
+});
+
+registerLayoutStrategy('golden', 'Golden spiral', (grid, top, bottom, left, right, depth, minSize) => {
+  goldenSpiral(grid, top, bottom, left, right, depth * 2, minSize);
+});
+
+registerLayoutStrategy('masonry', 'Masonry rows', (grid, top, bottom, left, right, depth, minSize) => {
+  masonryRows(grid, top, bottom, left, right, depth, minSize);
+});
+
+// Cells sized by grid.items ({ weight, image, link, alt }). Free areas are
+// only collected while carving; finish() shares the items out between them
+// so each area's weight matches its size, then lays each out as a treemap.
+registerLayoutStrategy('weighted', 'Weighted items', (grid, top, bottom, left, right, depth, minSize) => {
+  if (grid.items.length === 0) {
+    LAYOUT_STRATEGIES.treemap.fill(grid, top, bottom, left, right, depth, minSize);
+    return;
+  }
+  grid.pendingAreas.push({ top, bottom, left, right });
+}, grid => {
+  const areas = grid.pendingAreas.map(a => ({
+    ...a, size: (a.right.rest - a.left.rest) * (a.bottom.rest - a.top.rest), items: [], weight: 0
+  }));
+  grid.pendingAreas = [];
+  grid.worstAspect = 0;
+  if (areas.length === 0) return;
+
+  // Items already shown by a locked cell aren't placed again (compared by
+  // value, since undo restores copies of the item list)
+  const lockedKeys = grid.cells.filter(c => c.locked && c.item).map(c => JSON.stringify(c.item));
+  const items = grid.items.filter(item => {
+    const i = lockedKeys.indexOf(JSON.stringify(item));
+    if (i === -1) return true;
+    lockedKeys.splice(i, 1);
+    return false;
+  });
+
+  // Largest items first, each to the area furthest below its share
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  const totalSize = areas.reduce((sum, a) => sum + a.size, 0);
+  const byWeight = [...items].sort((a, b) => b.weight - a.weight);
+  for (const item of byWeight) {
+    const deficit = a => a.size / totalSize * totalWeight - a.weight;
+    const empty = areas.filter(a => a.items.length === 0);
+    const target = (empty.length > 0 ? empty : areas).reduce((best, a) => deficit(a) > deficit(best) ? a : best);
+    target.items.push(item);
+    target.weight += item.weight;
+  }
+
+  for (const area of areas) {
+    if (area.items.length === 0) {
+      grid.addCell(area.top, area.bottom, area.left, area.right);
+      continue;
+    }
+
+    // Largest-first is the classic ordering; shuffled orderings are tried
+    // only while the worst cell is still outside the aspect bound. If none
+    // fits, worstAspect says by how much (see BentoGrid.withinAspect).
+    const weights = area.items.map(item => item.weight);
+    const width = area.right.rest - area.left.rest;
+    const height = area.bottom.rest - area.top.rest;
+    let order = weights.map((w, i) => i).sort((a, b) => weights[b] - weights[a]);
+    let worst = planSquarify(width, height, weights, order).worst;
+    for (let attempt = 0; attempt < 40 && worst > grid.maxAspect; attempt++) {
+      const candidate = shuffle([...order], grid.random);
+      const candidateWorst = planSquarify(width, height, weights, candidate).worst;
+      if (candidateWorst < worst) {
+        order = candidate;
+        worst = candidateWorst;
+      }
+    }
+    grid.worstAspect = Math.max(grid.worstAspect, worst);
+
+    const cells = squarify(grid, area.top, area.bottom, area.left, area.right, weights, order);
+    cells.forEach((cell, i) => {
+      const item = area.items[i];
+      cell.item = item;
+      cell.link = item.link || null;
+      cell.alt = item.alt || null;
+    });
+  }
+});
+
+// Items are written one per line as `weight | image | link | alt`; only
+// the weight is required
+function parseItems(text) {
+  const items = [];
+  for (const line of text.split('\n')) {
+    const [weight, image, link, alt] = line.split('|').map(part => part.trim());
+    if (!(parseFloat(weight) > 0)) continue;
+    items.push({ weight: parseFloat(weight), image: image || null, link: link || null, alt: alt || null });
+  }
+  return items;
+}
+
+function formatItems(items) {
+  return items.map(item => {
+    const parts = [item.weight, item.image || '', item.link || '', item.alt || ''];
+    while (parts.length > 1 && parts[parts.length - 1] === '') parts.pop();
+    return parts.join(' | ');
+  }).join('\n');
+}
+
+// Worst aspect ratio of a treemap strip holding `weights` along `side`
+function worstStripAspect(weights, side, scale) {
+  const thickness = weights.reduce((a, b) => a + b, 0) * scale / side;
+  let worst = 0;
+  for (const w of weights) {
+    const length = w * scale / thickness;
+    worst = Math.max(worst, thickness / length, length / thickness);
+  }
+  return worst;
+}
+
+// Squarified treemap (Bruls, Huizing, van Wijk): items are laid in strips
+// along the shorter side of the remaining area, growing each strip while
+// that improves its worst aspect ratio. Only plans the strips, so orderings
+// can be compared before any edges exist.
+function planSquarify(width, height, weights, order) {
+  const strips = [];
+  let worst = 0;
+  let remaining = order;
+  let remainingWeight = order.reduce((sum, i) => sum + weights[i], 0);
+
+  while (remaining.length > 0) {
+    const scale = (width * height) / remainingWeight;
+    const vertical = width >= height; // strip runs top-to-bottom on the left
+    const side = vertical ? height : width;
+
+    let row = remaining.slice(0, 1);
+    let rowWorst = worstStripAspect(row.map(i => weights[i]), side, scale);
+    while (row.length < remaining.length) {
+      const next = remaining.slice(0, row.length + 1);
+      const nextWorst = worstStripAspect(next.map(i => weights[i]), side, scale);
+      if (nextWorst > rowWorst) break;
+      row = next;
+      rowWorst = nextWorst;
+    }
+
+    const rowWeight = row.reduce((sum, i) => sum + weights[i], 0);
+    const thickness = rowWeight * scale / side;
+    if (vertical) width -= thickness; else height -= thickness;
+
+    strips.push({ vertical, items: row, weight: rowWeight });
+    worst = Math.max(worst, rowWorst);
+    remaining = remaining.slice(row.length);
+    remainingWeight -= rowWeight;
+  }
+
+  return { strips, worst };
+}
+
+// Build a squarified treemap between four edges with cell areas
+// proportional to `weights`, placing items in `order` (largest first by
+// default). Returns the cells in the same order as `weights`.
+function squarify(grid, topEdge, bottomEdge, leftEdge, rightEdge, weights, order) {
+  order = order || weights.map((w, i) => i).sort((a, b) => weights[b] - weights[a]);
+  const plan = planSquarify(rightEdge.rest - leftEdge.rest, bottomEdge.rest - topEdge.rest, weights, order);
+  const cells = new Array(weights.length);
+  let remainingWeight = order.reduce((sum, i) => sum + weights[i], 0);
+  let area = { top: topEdge, bottom: bottomEdge, left: leftEdge, right: rightEdge };
+
+  plan.strips.forEach((strip, s) => {
+    const { vertical, items, weight } = strip;
+    const width = area.right.rest - area.left.rest;
+    const height = area.bottom.rest - area.top.rest;
+    const side = vertical ? height : width;
+
+    let stripEdge;
+    if (s === plan.strips.length - 1) {
+      stripEdge = vertical ? area.right : area.bottom;
+    } else {
+      const thickness = weight / remainingWeight * (vertical ? width : height);
+      stripEdge = grid.createEdge((vertical ? area.left.rest : area.top.rest) + thickness, !vertical);
+    }
+
+    let prev = vertical ? area.top : area.left;
+    let offset = prev.rest;
+    items.forEach((index, k) => {
+      offset += weights[index] / weight * side;
+      const next = k === items.length - 1
+        ? (vertical ? area.bottom : area.right)
+        : grid.createEdge(offset, vertical);
+      cells[index] = vertical
+        ? grid.addCell(prev, next, area.left, stripEdge)
+        : grid.addCell(area.top, stripEdge, prev, next);
+      prev = next;
+    });
+
+    area = vertical ? { ...area, left: stripEdge } : { ...area, top: stripEdge };
+    remainingWeight -= weight;
+  });
+
+  return cells;
+}
+
+// Repeatedly cut the golden section (0.618 of the longer side) off the
+// area, turning around the sides like a spiral, until pieces would fall
+// below minSize; the last remainder becomes the centre cell
+function goldenSpiral(grid, topEdge, bottomEdge, leftEdge, rightEdge, steps, minSize) {
+  const sides = ['left', 'top', 'right', 'bottom'];
+  const clockwise = grid.random() < 0.5;
+  let turn = Math.floor(grid.random() * 4);
+  let area = { top: topEdge, bottom: bottomEdge, left: leftEdge, right: rightEdge };
+
+  for (let step = 0; step < steps; step++) {
+    const width = area.right.rest - area.left.rest;
+    const height = area.bottom.rest - area.top.rest;
+    const cutAcrossHeight = height > width;
+    const length = cutAcrossHeight ? height : width;
+    const piece = length * 0.618;
+    if (piece < minSize || length - piece < minSize) break;
+
+    // Advance to the next spiral side that matches the cut direction
+    while ((sides[turn] === 'top' || sides[turn] === 'bottom') !== cutAcrossHeight) {
+      turn = (turn + (clockwise ? 1 : 3)) % 4;
+    }
+    const side = sides[turn];
+    turn = (turn + (clockwise ? 1 : 3)) % 4;
+
+    const start = cutAcrossHeight ? area.top.rest : area.left.rest;
+    const atStart = side === 'left' || side === 'top';
+    const edge = grid.createEdge(atStart ? start + piece : start + length - piece, cutAcrossHeight);
+
+    if (side === 'left') grid.addCell(area.top, area.bottom, area.left, edge);
+    if (side === 'right') grid.addCell(area.top, area.bottom, edge, area.right);
+    if (side === 'top') grid.addCell(area.top, edge, area.left, area.right);
+    if (side === 'bottom') grid.addCell(edge, area.bottom, area.left, area.right);
+
+    // The remainder is bounded by the new edge on the side just cut
+    area = { ...area, [side]: edge };
+  }
+
+  grid.addCell(area.top, area.bottom, area.left, area.right);
+}
+
+// Full-width rows of varying height, each split into bricks of varying
+// width; row separators are shared by every cell above and below them
+function masonryRows(grid, topEdge, bottomEdge, leftEdge, rightEdge, depth, minSize) {
+  const width = rightEdge.rest - leftEdge.rest;
+  const height = bottomEdge.rest - topEdge.rest;
+  const rowCount = Math.max(1, Math.min(depth, Math.floor(height / (minSize * 1.5))));
+  const rowWeights = Array.from({ length: rowCount }, () => 0.7 + grid.random() * 0.6);
+  const rowTotal = rowWeights.reduce((a, b) => a + b, 0);
+
+  let rowTop = topEdge;
+  rowWeights.forEach((rowWeight, r) => {
+    const rowHeight = height * rowWeight / rowTotal;
+    const rowBottom = r === rowCount - 1 ? bottomEdge : grid.createEdge(rowTop.rest + rowHeight, true);
+
+    const count = Math.max(1, Math.min(
+      Math.floor(width / minSize),
+      Math.round(width / (rowHeight * (0.9 + grid.random() * 0.8)))
+    ));
+    const brickWeights = Array.from({ length: count }, () => 0.6 + grid.random() * 0.8);
+    const brickTotal = brickWeights.reduce((a, b) => a + b, 0);
+
+    let brickLeft = leftEdge;
+    let offset = leftEdge.rest;
+    brickWeights.forEach((brickWeight, b) => {
+      offset += width * brickWeight / brickTotal;
+      const brickRight = b === count - 1 ? rightEdge : grid.createEdge(offset, false);
+      grid.addCell(rowTop, rowBottom, brickLeft, brickRight);
+      brickLeft = brickRight;
+    });
+
+    rowTop = rowBottom;
+  });
+}
+
+// ============================================
+// INFINITE FIELD - Unbounded layout grown around the camera
+// ============================================
+
+// Cells the field may add per frame, so panning into empty space fills in
+// over a few frames instead of stalling one
+const FIELD_GROWTH_PER_FRAME = 12;
+
+// Screen pixels past the viewport that are kept covered
+const FIELD_BLEED = 120;
+
+// Cells live in world coordinates with no boundary edges. Growth starts
+// from one seed card; each new rectangle fills the free box around an
+// uncovered point, attaches to the faces of the cells bounding that box and
+// shares their Edge objects, so hover physics behaves as in EdgeGrid.
+// Every coordinate is a multiple of `unit` (half of minSize), so any hole
+// left between cells contains a point of the sampling lattice and is found.
+class FieldGrid {
+  constructor(seed = randomSeed(), minSize = 80, maxSize = minSize * 4) {
+    this.seed = seed >>> 0;
+    this.random = createRng(this.seed);
+    this.minSize = minSize;
+    this.maxSize = maxSize;
+    this.unit = minSize / 2;
+
+    this.edges = new Map();      // id -> Edge
+    this.diagonals = new Map();  // always empty; keeps the EdgeGrid shape
+    this.cells = [];
+    this.edgeIdCounter = 0;
+    this.edgeCells = new Map();  // Edge -> Set of cells with a side on it
+
+    // Spatial hash of cell rest bounds for neighbour and coverage queries
+    this.bucketSize = maxSize;
+    this.buckets = new Map();
+
+    // The cells around the camera; physics and rendering only see these
+    this.view = { cells: [], edges: new Map(), diagonals: this.diagonals };
+    this.viewKey = null;
+    this.settled = false;
+
+    const halfW = this.snap(minSize * (0.75 + this.random() * 0.75));
+    const halfH = this.snap(minSize * (0.75 + this.random() * 0.75));
+    this.addCell(
+      this.createEdge(-halfH, true), this.createEdge(halfH, true),
+      this.createEdge(-halfW, false), this.createEdge(halfW, false)
+    );
+  }
+
+  snap(value) {
+    return Math.round(value / this.unit) * this.unit;
+  }
+
+  createEdge(position, isHorizontal) {
+    const id = `e${this.edgeIdCounter++}`;
+    const edge = new Edge(id, position, isHorizontal);
+    this.edges.set(id, edge);
+    this.edgeCells.set(edge, new Set());
+    return edge;
+  }
+
+  addCell(topEdge, bottomEdge, leftEdge, rightEdge) {
+    const cell = new Cell(this.cells.length, topEdge, bottomEdge, leftEdge, rightEdge);
+    this.cells.push(cell);
+    for (const edge of [topEdge, bottomEdge, leftEdge, rightEdge]) this.edgeCells.get(edge).add(cell);
+
+    for (const key of this.bucketKeys(leftEdge.rest, topEdge.rest, rightEdge.rest, bottomEdge.rest)) {
+      if (!this.buckets.has(key)) this.buckets.set(key, []);
+      this.buckets.get(key).push(cell);
+    }
+    return cell;
+  }
+
+  *bucketKeys(left, top, right, bottom) {
+    const size = this.bucketSize;
+    for (let i = Math.floor(left / size); i <= Math.floor(right / size); i++) {
+      for (let j = Math.floor(top / size); j <= Math.floor(bottom / size); j++) yield `${i},${j}`;
+    }
+  }
+
+  // Cells whose rest rectangle touches or overlaps the given one
+  cellsIn(left, top, right, bottom) {
+    const found = new Set();
+    for (const key of this.bucketKeys(left, top, right, bottom)) {
+      for (const cell of this.buckets.get(key) || []) {
+        if (cell.left.rest <= right && cell.right.rest >= left &&
+            cell.top.rest <= bottom && cell.bottom.rest >= top) found.add(cell);
+      }
+    }
+    return [...found];
+  }
+
+  covers(x, y) {
+    const size = this.bucketSize;
+    const bucket = this.buckets.get(`${Math.floor(x / size)},${Math.floor(y / size)}`);
+    return !!bucket && bucket.some(cell =>
+      cell.left.rest <= x && cell.right.rest >= x && cell.top.rest <= y && cell.bottom.rest >= y);
+  }
+
+  // Grow toward the viewport (a world rect) plus `bleed`, then refresh the
+  // active view; returns the number of cells added
+  update(viewport, bleed, budget = FIELD_GROWTH_PER_FRAME) {
+    const key = [viewport.left, viewport.top, viewport.right, viewport.bottom, bleed].join();
+    if (key !== this.viewKey) this.settled = false;
+
+    const added = this.settled ? 0 : this.grow(viewport, bleed, budget);
+    if (added === 0) this.settled = true;
+    if (added > 0 || key !== this.viewKey) {
+      this.updateView({
+        left: viewport.left - bleed, top: viewport.top - bleed,
+        right: viewport.right + bleed, bottom: viewport.bottom + bleed
+      });
+    }
+    this.viewKey = key;
+    return added;
+  }
+
+  // Sample the area at the centre of every unit square and place cells at
+  // uncovered points: inside the viewport before the bleed margin, next to
+  // existing cells before open space, nearest the centre first
+  grow(viewport, bleed, budget) {
+    const step = this.unit;
+    const cx = (viewport.left + viewport.right) / 2;
+    const cy = (viewport.top + viewport.bottom) / 2;
+    const candidates = [];
+
+    for (let y = Math.floor((viewport.top - bleed) / step) * step + step / 2; y < viewport.bottom + bleed; y += step) {
+      for (let x = Math.floor((viewport.left - bleed) / step) * step + step / 2; x < viewport.right + bleed; x += step) {
+        if (this.covers(x, y)) continue;
+        const outside = x < viewport.left || x > viewport.right || y < viewport.top || y > viewport.bottom;
+        const open = !(this.covers(x - step, y) || this.covers(x + step, y) ||
+                       this.covers(x, y - step) || this.covers(x, y + step));
+        candidates.push({ x, y, rank: (outside ? 2 : 0) + (open ? 1 : 0), distance: Math.hypot(x - cx, y - cy) });
       }
     }
+    candidates.sort((a, b) => a.rank - b.rank || a.distance - b.distance);
 
-    // Shuffle and pick
-    const shuffled = pairs.sort(() => Math.random() - 0.5);
-    const cellsWithDiagonals = new Set();
     let added = 0;
+    for (const { x, y } of candidates) {
+      if (added >= budget) break;
+      if (this.covers(x, y)) continue;
+      this.placeCell(x, y);
+      added++;
+    }
+    return added;
+  }
 
-    for (const pair of shuffled) {
-      if (added >= count) break;
-
-      if (pair.type === 'horizontal') {
-        const { left, right } = pair;
-        if (cellsWithDiagonals.has(left) || cellsWithDiagonals.has(right)) continue;
-
-        // Shared vertical edge position
-        const sharedX = left.right.rest;
-        const topY = left.top.rest;
-        const bottomY = left.bottom.rest;
-        const height = bottomY - topY;
-        const leftWidth = left.right.rest - left.left.rest;
-        const rightWidth = right.right.rest - right.left.rest;
-
-        // Skip cells that are too small or too thin (would create "duds")
-        // Increase minDim based on overlap to ensure visible pentagons
-        const minDim = 120;
-        const maxAspect = 2.5;
-        if (leftWidth < minDim || rightWidth < minDim || height < minDim) continue;
-        if (leftWidth / height > maxAspect || height / leftWidth > maxAspect) continue;
-        if (rightWidth / height > maxAspect || height / rightWidth > maxAspect) continue;
-
-        // Overlap based on max hover scale to guarantee coverage during expansion
-        const maxOverlap = Math.min(leftWidth * overlapFraction, rightWidth * overlapFraction, height * overlapFraction);
-        const halfH = maxOverlap;
-
-        const diagonalDown = Math.random() < 0.5;
-
-        // Diagonal spans FULL height (no inset) to avoid clipping artifacts
-        let diag;
-        if (diagonalDown) {
-          diag = this.createDiagonal(sharedX - halfH, topY, sharedX + halfH, bottomY);
-        } else {
-          diag = this.createDiagonal(sharedX + halfH, topY, sharedX - halfH, bottomY);
-        }
+  // Add a cell covering the uncovered point (px, py)
+  placeCell(px, py) {
+    const { minSize, maxSize } = this;
 
-        // Extend both cells' bounds into the overlap region
-        // Left cell extends right, right cell extends left
-        left.right = this.createEdge(sharedX + halfH, false);
-        right.left = this.createEdge(sharedX - halfH, false);
-
-        // Both cells clip by the diagonal
-        left.diagonalClips.push({ diagonal: diag, keepSide: 'positive' });
-        right.diagonalClips.push({ diagonal: diag, keepSide: 'negative' });
-
-        cellsWithDiagonals.add(left);
-        cellsWithDiagonals.add(right);
-        added++;
-
-      } else if (pair.type === 'vertical') {
-        const { top, bottom } = pair;
-        if (cellsWithDiagonals.has(top) || cellsWithDiagonals.has(bottom)) continue;
-
-        // Shared horizontal edge position
-        const sharedY = top.bottom.rest;
-        const leftX = top.left.rest;
-        const rightX = top.right.rest;
-        const width = rightX - leftX;
-        const topHeight = top.bottom.rest - top.top.rest;
-        const bottomHeight = bottom.bottom.rest - bottom.top.rest;
-
-        // Skip cells that are too small or too thin (would create "duds")
-        // Increase minDim based on overlap to ensure visible pentagons
-        const minDim = 120;
-        const maxAspect = 2.5;
-        if (topHeight < minDim || bottomHeight < minDim || width < minDim) continue;
-        if (width / topHeight > maxAspect || topHeight / width > maxAspect) continue;
-        if (width / bottomHeight > maxAspect || bottomHeight / width > maxAspect) continue;
-
-        // Overlap based on max hover scale to guarantee coverage during expansion
-        const maxOverlap = Math.min(topHeight * overlapFraction, bottomHeight * overlapFraction, width * overlapFraction);
-        const halfW = maxOverlap;
-
-        const diagonalRight = Math.random() < 0.5;
-
-        // Diagonal spans FULL width (no inset) to avoid clipping artifacts
-        let diag;
-        if (diagonalRight) {
-          diag = this.createDiagonal(leftX, sharedY - halfW, rightX, sharedY + halfW);
-        } else {
-          diag = this.createDiagonal(rightX, sharedY - halfW, leftX, sharedY + halfW);
+    // Shrink a box around the point until no cell overlaps it, cutting
+    // each obstacle off on whichever side loses the least area
+    const box = {
+      left: this.snap(px - maxSize), right: this.snap(px + maxSize),
+      top: this.snap(py - maxSize), bottom: this.snap(py + maxSize)
+    };
+    const bounded = { left: false, right: false, top: false, bottom: false };
+    const distance = c => Math.hypot(
+      Math.max(c.left.rest - px, 0, px - c.right.rest),
+      Math.max(c.top.rest - py, 0, py - c.bottom.rest)
+    );
+    const near = this.cellsIn(box.left, box.top, box.right, box.bottom).sort((a, b) => distance(a) - distance(b));
+
+    for (const c of near) {
+      if (c.left.rest >= box.right || c.right.rest <= box.left || c.top.rest >= box.bottom || c.bottom.rest <= box.top) continue;
+      const w = box.right - box.left;
+      const h = box.bottom - box.top;
+      const cuts = [];
+      if (c.right.rest < px) cuts.push({ side: 'left', position: c.right.rest, loss: (c.right.rest - box.left) * h });
+      if (c.left.rest > px) cuts.push({ side: 'right', position: c.left.rest, loss: (box.right - c.left.rest) * w });
+      if (c.bottom.rest < py) cuts.push({ side: 'top', position: c.bottom.rest, loss: (c.bottom.rest - box.top) * w });
+      if (c.top.rest > py) cuts.push({ side: 'bottom', position: c.top.rest, loss: (box.bottom - c.top.rest) * h });
+      const cut = cuts.reduce((best, option) => option.loss < best.loss ? option : best);
+      box[cut.side] = cut.position;
+      bounded[cut.side] = true;
+    }
+
+    // Pick a size, attach to a bounding face and line up with neighbours
+    const span = (lo, hi, loBound, hiBound, p, size, faces) => {
+      let a, b;
+      if (loBound && (!hiBound || p - lo <= hi - p)) {
+        a = lo;
+        b = Math.max(lo + size, p + minSize / 4);
+      } else if (hiBound) {
+        b = hi;
+        a = Math.min(hi - size, p - minSize / 4);
+      } else {
+        a = p - size / 2;
+        b = p + size / 2;
+      }
+      a = Math.max(this.snap(a), lo);
+      b = Math.min(this.snap(b), hi);
+
+      const align = (value, valid) => {
+        let best = value;
+        for (const face of faces) {
+          if (Math.abs(face - value) < minSize / 2 && Math.abs(face - value) < Math.abs(best - value) && valid(face)) best = face;
         }
+        return best;
+      };
+      if (a > lo) a = align(a, face => face >= lo && face < p && b - face >= minSize / 2);
+      if (b < hi) b = align(b, face => face <= hi && face > p && face - a >= minSize / 2);
+
+      // Never leave a sliver thinner than minSize against a neighbour
+      if (loBound && a - lo < minSize) a = lo;
+      if (hiBound && hi - b < minSize) b = hi;
+      return [a, b];
+    };
+
+    const width = minSize + this.random() * (maxSize * 0.75 - minSize);
+    const height = minSize + this.random() * (maxSize * 0.75 - minSize);
+    const [left, right] = span(box.left, box.right, bounded.left, bounded.right, px, width,
+      near.flatMap(c => [c.left.rest, c.right.rest]));
+    const [top, bottom] = span(box.top, box.bottom, bounded.top, bounded.bottom, py, height,
+      near.flatMap(c => [c.top.rest, c.bottom.rest]));
+
+    return this.addCell(
+      this.edgeAt(top, true, left, right), this.edgeAt(bottom, true, left, right),
+      this.edgeAt(left, false, top, bottom), this.edgeAt(right, false, top, bottom)
+    );
+  }
 
-        // Extend bounds into overlap
-        top.bottom = this.createEdge(sharedY + halfW, true);
-        bottom.top = this.createEdge(sharedY - halfW, true);
+  // The edge at `position` that a side spanning lo..hi continues or shares;
+  // separate collinear edges it would bridge are merged into one
+  edgeAt(position, horizontal, lo, hi) {
+    const eps = 1e-6;
+    const found = [];
+    const nearby = horizontal
+      ? this.cellsIn(lo, position, hi, position)
+      : this.cellsIn(position, lo, position, hi);
+
+    for (const cell of nearby) {
+      const [a, b] = horizontal ? [cell.left.rest, cell.right.rest] : [cell.top.rest, cell.bottom.rest];
+      if (a >= hi - eps || b <= lo + eps) continue;
+      for (const edge of horizontal ? [cell.top, cell.bottom] : [cell.left, cell.right]) {
+        if (Math.abs(edge.rest - position) < eps && !found.includes(edge)) found.push(edge);
+      }
+    }
 
-        top.diagonalClips.push({ diagonal: diag, keepSide: 'positive' });
-        bottom.diagonalClips.push({ diagonal: diag, keepSide: 'negative' });
+    if (found.length === 0) return this.createEdge(position, horizontal);
+    for (const edge of found.slice(1)) this.mergeEdge(found[0], edge);
+    return found[0];
+  }
 
-        cellsWithDiagonals.add(top);
-        cellsWithDiagonals.add(bottom);
-        added++;
+  mergeEdge(keep, drop) {
+    for (const cell of this.edgeCells.get(drop)) {
+      for (const side of ['top', 'bottom', 'left', 'right']) {
+        if (cell[side] === drop) cell[side] = keep;
       }
+      this.edgeCells.get(keep).add(cell);
+    }
+    this.edgeCells.delete(drop);
+    this.edges.delete(drop.id);
+  }
+
+  // Cells within `bounds` (plus maxSize, so hover expansion near the
+  // screen edge still has neighbours to push against)
+  updateView(bounds) {
+    const margin = this.maxSize;
+    const cells = this.cellsIn(bounds.left - margin, bounds.top - margin, bounds.right + margin, bounds.bottom + margin)
+      .sort((a, b) => a.id - b.id);
+    const edges = new Map();
+    for (const cell of cells) {
+      for (const edge of [cell.top, cell.bottom, cell.left, cell.right]) edges.set(edge.id, edge);
+    }
+
+    // Edges leaving the view settle at rest so they return undisturbed
+    for (const [id, edge] of this.view.edges) {
+      if (edges.has(id)) continue;
+      edge.pos = edge.rest;
+      edge.velocity = 0;
+      edge.force = 0;
     }
+
+    this.view.cells = cells;
+    this.view.edges = edges;
   }
 }
 
@@ -434,6 +2208,53 @@ class EdgeGrid {
 // PHYSICS ENGINE
 // ============================================
 
+// Physics advances in fixed steps of this many ms; every per-step rate
+// (springStrength, damping, scaleSpeed, rippleSpeed, imageZoomSpeed) is
+// tuned for 60 steps a second whatever the display's refresh rate
+const PHYSICS_STEP = 1000 / 60;
+
+// Most steps caught up in one frame; after a long stall (a background
+// tab, a breakpoint) the simulation skips ahead instead of spiralling
+const MAX_PHYSICS_STEPS = 5;
+
+// Moving parts of a divider (c1/c2 only exist on curves)
+const DIAGONAL_STATE = ['x1', 'y1', 'x2', 'y2', 'c1', 'c2'];
+
+// Tunable parameters, carried across engine rebuilds and history snapshots
+const PHYSICS_PARAMS = [
+  'springStrength', 'damping', 'incompressibility', 'minSizeRatio', 'bleedZone',
+  'scaleSpeed', 'rippleSpeed', 'overshoot', 'fillRatio', 'hardMinSize'
+];
+
+// Milliseconds between violation-count reports (see onMetricsChange)
+const VIOLATION_REPORT_INTERVAL = 1000;
+
+// Relaxation sweeps per step for the constraint pass; neighbouring cells
+// correct each other, so one sweep can leave a chain of small cells short
+const CONSTRAINT_PASSES = 6;
+
+// Share of the grid's width and height a cell takes over in detail mode
+const DETAIL_FILL = 0.85;
+
+// Detail mode remaps each axis piecewise-linearly: the cell's span [from, to]
+// grows to DETAIL_FILL of [lo, hi] and the strips either side shrink in
+// proportion, so every position keeps its order. minBefore and minAfter
+// are the least each strip may shrink to.
+function detailMap(lo, hi, from, to, minBefore, minAfter) {
+  const size = Math.min((hi - lo) * DETAIL_FILL, hi - lo - minBefore - minAfter);
+  if (size <= to - from) return v => v;
+  const before = from - lo;
+  const after = hi - to;
+  const spare = hi - lo - size;
+  const start = lo + Math.min(Math.max(spare * before / (before + after), minBefore), spare - minAfter);
+  const end = start + size;
+  return v => {
+    if (v <= from) return before > 0 ? lo + (v - lo) * (start - lo) / before : start;
+    if (v >= to) return after > 0 ? hi - (hi - v) * (hi - end) / after : end;
+    return start + (v - from) * size / (to - from);
+  };
+}
+
 class PhysicsEngine {
   constructor(grid) {
     this.grid = grid;
@@ -452,6 +2273,58 @@ class PhysicsEngine {
     this.rippleSpeed = 0.10;
     this.overshoot = 0.15;
     this.fillRatio = 0;
+
+    // Hard floor on a cell's width and height (px), whatever the forces do
+    this.hardMinSize = 12;
+
+    // Cells the last constraint pass had to hold at the floor
+    this.violations = 0;
+
+    // Detail mode layout (see setDetail)
+    this.detail = null;
+  }
+
+  // Detail mode: every edge and divider springs toward its rest position
+  // remapped so that `cell` fills most of the grid (see detailMap). The
+  // strips around it stay wide enough for the cells squeezed into them.
+  setDetail(cell) {
+    if (!cell) {
+      this.detail = null;
+      return;
+    }
+    const { cells, topBoundary, bottomBoundary, leftBoundary, rightBoundary } = this.grid;
+    const strip = (span, sizes) => (sizes.length ? this.hardMinSize * 2 * span / Math.min(...sizes) : 0);
+    const left = cells.filter(c => c.right.rest <= cell.left.rest).map(c => this.getRestExtent(c, true));
+    const right = cells.filter(c => c.left.rest >= cell.right.rest).map(c => this.getRestExtent(c, true));
+    const above = cells.filter(c => c.bottom.rest <= cell.top.rest).map(c => this.getRestExtent(c, false));
+    const below = cells.filter(c => c.top.rest >= cell.bottom.rest).map(c => this.getRestExtent(c, false));
+    this.detail = {
+      cell,
+      x: detailMap(leftBoundary.rest, rightBoundary.rest, cell.left.rest, cell.right.rest,
+        strip(cell.left.rest - leftBoundary.rest, left), strip(rightBoundary.rest - cell.right.rest, right)),
+      y: detailMap(topBoundary.rest, bottomBoundary.rest, cell.top.rest, cell.bottom.rest,
+        strip(cell.top.rest - topBoundary.rest, above), strip(bottomBoundary.rest - cell.bottom.rest, below))
+    };
+  }
+
+  // A cell's narrowest rest width (or height), dividers included: the
+  // least distance from any point along them to the cell's opposite side
+  getRestExtent(cell, horizontal) {
+    let extent = horizontal ? cell.restWidth : cell.restHeight;
+    for (const { diagonal: diag, keepSide } of cell.diagonalClips) {
+      if ((diag.orientation === 'vertical') !== horizontal) continue;
+      const outward = keepSide === 'positive' ? 1 : -1;
+      const opposite = horizontal
+        ? (outward > 0 ? cell.left : cell.right)
+        : (outward > 0 ? cell.top : cell.bottom);
+      for (const across of diag.getRestAcross()) extent = Math.min(extent, (across - opposite.rest) * outward);
+    }
+    return extent;
+  }
+
+  // Where a rest coordinate on an axis ('x' or 'y') springs back to
+  getTarget(axis, rest) {
+    return this.detail ? this.detail[axis](rest) : rest;
   }
 
   applyHoverForce(cell, scale) {
@@ -513,6 +2386,13 @@ class PhysicsEngine {
       diag.y1 += (cy + (diag.restY1 - cy) * scale2 - diag.y1) * this.scaleSpeed;
       diag.x2 += (cx + (diag.restX2 - cx) * scale2 - diag.x2) * this.scaleSpeed;
       diag.y2 += (cy + (diag.restY2 - cy) * scale2 - diag.y2) * this.scaleSpeed;
+
+      // Curve control points scale across the divider the same way
+      if (diag instanceof CurvedEdge) {
+        const centre = diag.orientation === 'vertical' ? cx : cy;
+        diag.c1 += (centre + (diag.restC1 - centre) * scale2 - diag.c1) * this.scaleSpeed;
+        diag.c2 += (centre + (diag.restC2 - centre) * scale2 - diag.c2) * this.scaleSpeed;
+      }
     }
   }
 
@@ -548,9 +2428,45 @@ class PhysicsEngine {
         if (!this.hoveredEdges.has(cell.top) && dirY <= 0) cell.top.force -= force;
         if (!this.hoveredEdges.has(cell.bottom) && dirY >= 0) cell.bottom.force += force;
       }
+
+      for (const clip of cell.diagonalClips) this.applyDiagonalDeficit(cell, clip, dirX, dirY);
+    }
+  }
+
+  // A divider counts as one of the cell's sides: wherever it has come
+  // closer to the opposite side than minSizeRatio allows, push that point
+  // of it back out, away from the hovered cell like the edges above
+  applyDiagonalDeficit(cell, clip, dirX, dirY) {
+    const diag = clip.diagonal;
+    if (this.hoveredCell.diagonalClips.some(k => k.diagonal === diag)) return;
+
+    const vertical = diag.orientation === 'vertical';
+    const outward = clip.keepSide === 'positive' ? 1 : -1;
+    if ((vertical ? dirX : dirY) * outward < 0) return;
+
+    const opposite = vertical
+      ? (outward > 0 ? cell.left : cell.right)
+      : (outward > 0 ? cell.top : cell.bottom);
+    const keys = vertical ? ['x1', 'x2'] : ['y1', 'y2'];
+    if (diag instanceof CurvedEdge) keys.push('c1', 'c2');
+
+    for (const key of keys) {
+      const size = (diag[key] - opposite.pos) * outward;
+      const restSize = (diag[`rest${key.toUpperCase()}`] - opposite.rest) * outward;
+      const deficit = restSize * this.minSizeRatio - size;
+      if (deficit > 0) diag.force[key] += deficit * this.incompressibility * 1.5 * outward;
     }
   }
 
+  // The edge each divider runs along (see Cell.getClipSide)
+  getDiagonalAnchors() {
+    const anchors = new Map();
+    for (const cell of this.grid.cells) {
+      for (const clip of cell.diagonalClips) anchors.set(clip.diagonal, cell[cell.getClipSide(clip)]);
+    }
+    return anchors;
+  }
+
   integrateForces() {
     const effectiveDamping = this.damping - this.overshoot * 0.3;
 
@@ -562,7 +2478,8 @@ class PhysicsEngine {
       }
 
       const springMult = edge.isBoundary ? 3 : 1;
-      const springForce = (edge.rest - edge.pos) * this.springStrength * springMult;
+      const target = this.getTarget(edge.isHorizontal ? 'y' : 'x', edge.rest);
+      const springForce = (target - edge.pos) * this.springStrength * springMult;
 
       edge.velocity += (edge.force + springForce) * this.rippleSpeed;
       edge.velocity *= effectiveDamping;
@@ -580,28 +2497,117 @@ class PhysicsEngine {
       edge.force = 0;
     }
 
-    // Diagonal edges - spring back to rest
+    // Diagonal edges - spring back to rest, measured from wherever the edge
+    // they run along has moved, so they ripple with it
+    const anchors = this.getDiagonalAnchors();
     for (const [, diag] of this.grid.diagonals) {
-      diag.velocity.x1 += (diag.restX1 - diag.x1) * this.springStrength * this.rippleSpeed;
-      diag.velocity.y1 += (diag.restY1 - diag.y1) * this.springStrength * this.rippleSpeed;
-      diag.velocity.x2 += (diag.restX2 - diag.x2) * this.springStrength * this.rippleSpeed;
-      diag.velocity.y2 += (diag.restY2 - diag.y2) * this.springStrength * this.rippleSpeed;
-
-      diag.velocity.x1 *= effectiveDamping;
-      diag.velocity.y1 *= effectiveDamping;
-      diag.velocity.x2 *= effectiveDamping;
-      diag.velocity.y2 *= effectiveDamping;
-
-      diag.x1 += diag.velocity.x1;
-      diag.y1 += diag.velocity.y1;
-      diag.x2 += diag.velocity.x2;
-      diag.y2 += diag.velocity.y2;
+      const across = diag.orientation === 'vertical' ? 'x' : 'y';
+      const anchor = anchors.get(diag);
+      const shift = anchor ? anchor.pos - this.getTarget(across, anchor.rest) : 0;
+
+      for (const key of DIAGONAL_STATE) {
+        if (!(key in diag)) continue;
+        const axis = key[0] === 'c' ? across : key[0];
+        const target = this.getTarget(axis, diag[`rest${key.toUpperCase()}`]) + (axis === across ? shift : 0);
+        diag.velocity[key] += (diag.force[key] + (target - diag[key]) * this.springStrength) * this.rippleSpeed;
+        diag.velocity[key] *= effectiveDamping;
+        diag[key] += diag.velocity[key];
+        diag.force[key] = 0;
+      }
     }
   }
 
   update() {
     this.applyIncompressibility();
     this.integrateForces();
+    this.enforceConstraints();
+  }
+
+  // What forces alone can't promise: every cell keeps its edges in order
+  // and at least hardMinSize across (or its rest size, if smaller), and
+  // its dividers stay that far from its opposite side. Edges are pushed
+  // apart and lose the velocity that drove them together. Boundaries only
+  // give way when nothing else can; the hovered cell's edges hold for the
+  // first half of the sweeps and yield after that if there's still no room.
+  enforceConstraints() {
+    const violated = new Set();
+
+    for (let pass = 0; pass < CONSTRAINT_PASSES; pass++) {
+      const pinned = edge => edge.isBoundary || (pass < CONSTRAINT_PASSES / 2 && this.hoveredEdges.has(edge));
+      for (const cell of this.grid.cells) {
+        for (const [lo, hi] of [[cell.left, cell.right], [cell.top, cell.bottom]]) {
+          const deficit = Math.min(this.hardMinSize, hi.rest - lo.rest) - (hi.pos - lo.pos);
+          if (deficit <= 1e-6) continue;
+          violated.add(cell);
+
+          let moveLo = !pinned(lo);
+          let moveHi = !pinned(hi);
+          if (!moveLo && !moveHi) {
+            moveLo = !lo.isBoundary;
+            moveHi = !hi.isBoundary;
+          }
+          const share = moveLo && moveHi ? 0.5 : 1;
+          if (moveLo) {
+            lo.pos -= deficit * share;
+            lo.velocity = Math.min(lo.velocity, 0);
+          }
+          if (moveHi) {
+            hi.pos += deficit * share;
+            hi.velocity = Math.max(hi.velocity, 0);
+          }
+        }
+
+        for (const { diagonal: diag, keepSide } of cell.diagonalClips) {
+          const vertical = diag.orientation === 'vertical';
+          const outward = keepSide === 'positive' ? 1 : -1;
+          const opposite = vertical
+            ? (outward > 0 ? cell.left : cell.right)
+            : (outward > 0 ? cell.top : cell.bottom);
+          for (const key of DIAGONAL_STATE) {
+            if (!(key in diag) || (key[0] !== (vertical ? 'x' : 'y') && key[0] !== 'c')) continue;
+            const restSize = (diag[`rest${key.toUpperCase()}`] - opposite.rest) * outward;
+            const deficit = Math.min(this.hardMinSize, restSize) - (diag[key] - opposite.pos) * outward;
+            if (deficit <= 1e-6) continue;
+            violated.add(cell);
+            diag[key] += deficit * outward;
+            diag.velocity[key] = outward > 0 ? Math.max(diag.velocity[key], 0) : Math.min(diag.velocity[key], 0);
+          }
+        }
+      }
+    }
+
+    this.violations = violated.size;
+  }
+
+  // Remember where everything is before a step, so frames falling between
+  // steps can be drawn part-way (see interpolate)
+  snapshot() {
+    for (const [, edge] of this.grid.edges) edge.previous = edge.pos;
+    for (const [, diag] of this.grid.diagonals) {
+      diag.previous = DIAGONAL_STATE.filter(key => key in diag).map(key => diag[key]);
+    }
+  }
+
+  // Move everything `alpha` of the way from the last snapshot to the
+  // latest step, for drawing; restore() puts the stepped state back
+  interpolate(alpha) {
+    const lerp = (from, to) => (from == null ? to : from + (to - from) * alpha);
+    for (const [, edge] of this.grid.edges) {
+      edge.stepped = edge.pos;
+      edge.pos = lerp(edge.previous, edge.pos);
+    }
+    for (const [, diag] of this.grid.diagonals) {
+      const keys = DIAGONAL_STATE.filter(key => key in diag);
+      diag.stepped = keys.map(key => diag[key]);
+      keys.forEach((key, i) => { diag[key] = lerp(diag.previous && diag.previous[i], diag[key]); });
+    }
+  }
+
+  restore() {
+    for (const [, edge] of this.grid.edges) edge.pos = edge.stepped;
+    for (const [, diag] of this.grid.diagonals) {
+      DIAGONAL_STATE.filter(key => key in diag).forEach((key, i) => { diag[key] = diag.stepped[i]; });
+    }
   }
 
   clearHover() {
@@ -612,8 +2618,10 @@ class PhysicsEngine {
 
   reset() {
     this.clearHover();
+    this.detail = null;
     for (const [, edge] of this.grid.edges) {
       edge.pos = edge.rest;
+      edge.previous = edge.rest;
       edge.velocity = 0;
       edge.force = 0;
     }
@@ -623,14 +2631,102 @@ class PhysicsEngine {
       diag.x2 = diag.restX2;
       diag.y2 = diag.restY2;
       diag.velocity = { x1: 0, y1: 0, x2: 0, y2: 0 };
+      if (diag instanceof CurvedEdge) {
+        diag.c1 = diag.restC1;
+        diag.c2 = diag.restC2;
+        diag.velocity.c1 = diag.velocity.c2 = 0;
+      }
+      diag.previous = DIAGONAL_STATE.filter(key => key in diag).map(key => diag[key]);
     }
   }
 }
 
+// ============================================
+// HISTORY - Undo/redo of layout snapshots
+// ============================================
+
+class LayoutHistory {
+  constructor(limit = 50) {
+    this.entries = [];
+    this.index = -1;
+    this.limit = limit;
+  }
+
+  get current() { return this.entries[this.index] || null; }
+  get canUndo() { return this.index > 0; }
+  get canRedo() { return this.index < this.entries.length - 1; }
+
+  // Pushing after an undo drops the redo branch, like a text editor
+  push(entry) {
+    this.entries.splice(this.index + 1);
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.shift();
+    this.index = this.entries.length - 1;
+  }
+
+  undo() { return this.canUndo ? this.entries[--this.index] : null; }
+  redo() { return this.canRedo ? this.entries[++this.index] : null; }
+
+  goTo(index) {
+    if (index < 0 || index >= this.entries.length) return null;
+    this.index = index;
+    return this.entries[index];
+  }
+}
+
+// Small PNG of a serialized layout at rest, for the history strip
+function renderThumbnail(data, width = 96) {
+  const height = Math.max(1, Math.round(width * data.height / data.width));
+  const grid = EdgeGrid.fromJSON(data, width, height);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  for (const cell of grid.cells) {
+    const vertices = cell.getVertices(1);
+    if (vertices.length < 3) continue;
+
+    ctx.beginPath();
+    vertices.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y)));
+    ctx.closePath();
+    ctx.fillStyle = cell.color;
+    ctx.fill();
+  }
+
+  return canvas.toDataURL();
+}
+
 // ============================================
 // MAIN APPLICATION
 // ============================================
 
+function copySetting(value) {
+  return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// JSON to inline in the exported <script>: user text mustn't be able to
+// close the tag early, and U+2028/2029 aren't line breaks inside strings
+// for older parsers
+function scriptJSON(value, space) {
+  return JSON.stringify(value, null, space)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// How far (px) a touch may travel and still count as a tap rather than
+// the start of a pan, drag or page scroll
+const TAP_SLOP = 10;
+
+// BentoGrid fields that belong in a settings snapshot (physics ones live
+// on the engine, see PHYSICS_PARAMS)
+const GRID_SETTINGS = [
+  'gap', 'hoverScale', 'subdivisionDepth', 'diagonalCount', 'curveCount', 'imageZoom', 'imageZoomSpeed',
+  'layoutStrategy', 'columnGrid', 'items', 'maxAspect', 'detailMode', 'imageProvider', 'imageSources'
+];
+
 class BentoGrid {
   constructor(containerId) {
     this.container = document.getElementById(containerId);
@@ -643,17 +2739,61 @@ class BentoGrid {
     this.subdivisionDepth = 5;
     this.minCellSize = 80;
     this.diagonalCount = 0;
+    this.curveCount = 0;
     this.imageZoom = 2.0;
     this.imageZoomSpeed = 0.15;
+    this.seed = randomSeed();
+    this.layoutStrategy = 'subdivide';
+    this.columnGrid = { ...DEFAULT_COLUMN_GRID };
+    this.items = [];
+    this.maxAspect = 3;
+    this.detailMode = false;   // clicks open a cell's detail view
+    this.imageProvider = 'picsum';   // see IMAGE_PROVIDERS
+    this.imageSources = {};   // provider name -> its source text
 
     this.grid = null;
     this.physics = null;
     this.hoveredCell = null;
+    this.detailCell = null;
     this.canvasOffsetX = 0;
     this.canvasOffsetY = 0;
 
     // Image zoom animation state
     this.imageZoomState = new Map(); // cell.id -> current zoom value
+    this.mediaRects = new Map(); // cell.id -> where its media was last drawn
+    this.frameTime = PHYSICS_STEP;   // ms the current frame covers
+
+    this.history = new LayoutHistory();
+
+    // Edit mode: drag edges / diagonal endpoints instead of hovering
+    this.editMode = false;
+    this.editHover = null;   // { type: 'edge', edge } | { type: 'diagonal', diagonal, end }
+    this.drag = null;
+    this.selectedCells = [];
+    this.onLayoutChange = null;
+    this.onSelectionChange = null;
+    this.onMetricsChange = null;   // live figures changed (see getViolationCount)
+    this.reportedViolations = 0;
+    this.violationsReportedAt = -Infinity;
+
+    // Infinite field mode: a FieldGrid viewed through a pannable, zoomable
+    // camera (world position of the viewport's top-left corner)
+    this.field = null;
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.pan = null;
+
+    // Touch that may still turn out to be a tap (see handleTap)
+    this.tap = null;
+
+    // Local files in use, by object URL; written into exports as data URLs
+    // (see embedLocalFiles) so the page works away from this session.
+    // URLs are deliberately never revoked: undo steps and the 'local'
+    // provider's pool refer to files no cell shows right now, and a URL
+    // for a File picked from disk holds only a reference, not its bytes.
+    this.localFiles = new Map();
+
+    // What the image provider's load() gave for `key` (see loadImageProvider)
+    this.providerData = null;
 
     this.updateDimensions();
     this.setupEventListeners();
@@ -678,50 +2818,624 @@ class BentoGrid {
   }
 
   setupEventListeners() {
+    // Rescale the current layout rather than regenerating, so imported
+    // or hand-tuned grids survive a window resize
     window.addEventListener('resize', () => {
+      const data = this.serializeGrid();
       this.updateDimensions();
-      this.regenerate();
+      this.loadLayout(data);
     });
 
-    this.canvas.addEventListener('mousemove', (e) => {
-      const rect = this.canvas.getBoundingClientRect();
-      const mx = e.clientX - rect.left - this.canvasOffsetX;
-      const my = e.clientY - rect.top - this.canvasOffsetY;
+    // Pointer Events cover mouse, pen and touch. Mice and pens hover to
+    // expand a cell; touch has no hover, so a tap expands one, a second tap
+    // opens its link and a tap anywhere else collapses it. The editor page
+    // never scrolls, so the canvas takes every touch for pans and drags.
+    this.canvas.style.touchAction = 'none';
 
-      this.hoveredCell = null;
-      for (const cell of this.grid.cells) {
-        // Use gap for accurate polygon hit testing on diagonal cells
-        if (cell.containsPoint(mx, my, this.gap)) {
-          this.hoveredCell = cell;
-          break;
-        }
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (e.pointerType === 'touch' || this.pan) return;
+      const { x: mx, y: my } = this.toGridCoords(e);
+
+      if (this.editMode) {
+        if (!this.drag) this.editHover = this.findEditTarget(mx, my);
+        this.canvas.style.cursor = this.getEditCursor(this.drag || this.editHover);
+        return;
       }
+
+      this.hoveredCell = this.findCellAt(mx, my);
     });
 
-    this.canvas.addEventListener('mouseleave', () => {
+    this.canvas.addEventListener('pointerleave', (e) => {
+      if (e.pointerType === 'touch') return;
       this.hoveredCell = null;
+      if (!this.drag) this.editHover = null;
+    });
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch' && !this.editMode) {
+        this.tap = { id: e.pointerId, x: e.clientX, y: e.clientY };
+      }
+      if (this.field && e.button === 0) {
+        e.preventDefault();
+        this.pan = { id: e.pointerId, x: e.clientX, y: e.clientY, cameraX: this.camera.x, cameraY: this.camera.y };
+        if (e.pointerType !== 'touch') this.hoveredCell = null;
+        this.canvas.style.cursor = 'grabbing';
+        return;
+      }
+      if (!this.editMode && this.detailMode && e.pointerType !== 'touch' && e.button === 0) {
+        const { x, y } = this.toGridCoords(e);
+        this.setDetailCell(this.detailCell ? null : this.findCellAt(x, y));
+        return;
+      }
+      if (!this.editMode || e.button !== 0) return;
+      const { x, y } = this.toGridCoords(e);
+      const target = this.findEditTarget(x, y, e.pointerType === 'touch' ? 14 : 6);
+      if (!target) {
+        if (!e.shiftKey && this.setFocusAt(x, y)) return;
+        this.selectCellAt(x, y, e.shiftKey);
+        return;
+      }
+
+      e.preventDefault();
+      this.drag = { ...target, id: e.pointerId, moved: false };
+    });
+
+    // Zoom the field around the pointer
+    this.canvas.addEventListener('wheel', (e) => {
+      if (!this.field) return;
+      e.preventDefault();
+      const before = this.toGridCoords(e);
+      this.camera.zoom = Math.max(0.35, Math.min(3, this.camera.zoom * Math.exp(-e.deltaY * 0.001)));
+      const after = this.toGridCoords(e);
+      this.camera.x += before.x - after.x;
+      this.camera.y += before.y - after.y;
+    }, { passive: false });
+
+    // Drags track the window so they continue past the canvas edge
+    window.addEventListener('pointermove', (e) => {
+      if (this.tap && this.tap.id === e.pointerId &&
+          Math.hypot(e.clientX - this.tap.x, e.clientY - this.tap.y) > TAP_SLOP) {
+        this.tap = null;
+      }
+      if (this.pan && this.pan.id === e.pointerId) {
+        this.camera.x = this.pan.cameraX - (e.clientX - this.pan.x) / this.camera.zoom;
+        this.camera.y = this.pan.cameraY - (e.clientY - this.pan.y) / this.camera.zoom;
+        return;
+      }
+      if (!this.drag || this.drag.id !== e.pointerId) return;
+      const { x, y } = this.toGridCoords(e);
+      this.updateDrag(x, y);
+    });
+
+    const endPointer = (e) => {
+      if (this.pan && this.pan.id === e.pointerId) {
+        this.pan = null;
+        this.canvas.style.cursor = 'grab';
+      }
+      if (this.tap && this.tap.id === e.pointerId) {
+        this.tap = null;
+        if (e.type === 'pointerup') this.handleTap(this.toGridCoords(e));
+      }
+      if (!this.drag || this.drag.id !== e.pointerId) return;
+      const moved = this.drag.moved;
+      this.drag = null;
+      if (moved && this.onLayoutChange) this.onLayoutChange();
+    };
+    window.addEventListener('pointerup', endPointer);
+    window.addEventListener('pointercancel', endPointer);
+
+    // A touch anywhere off the grid collapses the tapped cell; any press
+    // off it closes the detail view
+    window.addEventListener('pointerdown', (e) => {
+      if (e.target === this.canvas) return;
+      if (e.pointerType === 'touch') this.hoveredCell = null;
+      this.setDetailCell(null);
+    });
+
+    window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.setDetailCell(null);
+    });
+
+    // Dropped files: one file on a cell replaces that cell's image, anything
+    // else (several files, a folder) is spread over the grid. A drop that
+    // misses the canvas mustn't navigate away from the editor.
+    const hasFiles = e => [...(e.dataTransfer?.types || [])].includes('Files');
+    this.canvas.addEventListener('dragover', (e) => {
+      if (!hasFiles(e) || this.field) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      const { x, y } = this.toGridCoords(e);
+      if (!this.editMode) this.hoveredCell = this.findCellAt(x, y);
+    });
+    this.canvas.addEventListener('drop', async (e) => {
+      if (!hasFiles(e) || this.field) return;
+      e.preventDefault();
+      const { x, y } = this.toGridCoords(e);
+      const cell = this.findCellAt(x, y);
+      let files;
+      try {
+        files = await collectDroppedFiles(e.dataTransfer);
+      } catch (err) {
+        alert(`Drop failed: ${err.message}`);
+        return;
+      }
+      if (files.length === 0) return;
+      if (files.length === 1 && cell) this.assignMediaFiles([cell], files);
+      else await this.spreadMediaFiles(files);
+      if (this.onLayoutChange) this.onLayoutChange();
+    });
+    window.addEventListener('dragover', (e) => { if (hasFiles(e)) e.preventDefault(); });
+    window.addEventListener('drop', (e) => { if (hasFiles(e)) e.preventDefault(); });
+  }
+
+  // Touch stands in for hover: the first tap on a cell expands it, the
+  // next opens its detail view (in detail mode) or its link, and a tap
+  // anywhere else collapses it. Links always open in a new tab here, so
+  // the editor never navigates away from an unsaved layout; linkTarget
+  // only applies in the export.
+  handleTap({ x, y }) {
+    if (this.editMode) return;
+    const cell = this.findCellAt(x, y);
+    if (cell && cell === (this.detailCell || this.hoveredCell)) {
+      if (this.detailMode && !this.detailCell) this.setDetailCell(cell);
+      else if (cell.link) window.open(cell.link, '_blank');
+      return;
+    }
+    this.setDetailCell(null);
+    this.hoveredCell = cell;
+  }
+
+  // Detail mode: a click grows a cell to fill most of the grid, the next
+  // click (or Escape) lets it settle back. Only the bounded grid has one.
+  setDetailMode(enabled) {
+    this.detailMode = enabled;
+    if (!enabled) this.setDetailCell(null);
+  }
+
+  setDetailCell(cell) {
+    if (this.field || this.editMode) cell = null;
+    if (cell === this.detailCell) return;
+    this.detailCell = cell;
+    this.physics.setDetail(cell);
+  }
+
+  findCellAt(x, y) {
+    for (const cell of this.scene.cells) {
+      // Use gap for accurate polygon hit testing on diagonal cells
+      if (cell.containsPoint(x, y, this.gap)) return cell;
+    }
+    return null;
+  }
+
+  // Pointer position in grid coordinates (world coordinates in the field)
+  toGridCoords(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left - this.canvasOffsetX;
+    const y = e.clientY - rect.top - this.canvasOffsetY;
+    if (!this.field) return { x, y };
+    return { x: this.camera.x + x / this.camera.zoom, y: this.camera.y + y / this.camera.zoom };
+  }
+
+  // What is on screen: the bounded grid, or the active part of the field
+  get scene() {
+    return this.field ? this.field.view : this.grid;
+  }
+
+  // ----------------------------------------
+  // Infinite field
+  // ----------------------------------------
+
+  setFieldMode(enabled) {
+    if (enabled === !!this.field) return;
+    if (enabled && this.editMode) this.setEditMode(false);
+
+    this.field = enabled ? new FieldGrid(this.seed, this.minCellSize) : null;
+    this.camera = { x: -this.width / 2, y: -this.height / 2, zoom: 1 };
+    this.pan = null;
+    this.hoveredCell = null;
+    this.imageZoomState.clear();
+    this.canvas.style.cursor = enabled ? 'grab' : '';
+    if (enabled) this.updateField();
+    this.createPhysics();
+  }
+
+  // The viewport in world coordinates
+  getViewport() {
+    const { x, y, zoom } = this.camera;
+    return { left: x, top: y, right: x + this.width / zoom, bottom: y + this.height / zoom };
+  }
+
+  updateField() {
+    return this.field.update(this.getViewport(), FIELD_BLEED / this.camera.zoom);
+  }
+
+  // ----------------------------------------
+  // Edit mode
+  // ----------------------------------------
+
+  setEditMode(enabled) {
+    this.editMode = enabled;
+    this.hoveredCell = null;
+    this.detailCell = null;
+    this.editHover = null;
+    this.drag = null;
+    this.canvas.style.cursor = '';
+    this.physics.reset();
+    this.setSelection([]);
+  }
+
+  setSelection(cells) {
+    this.selectedCells = cells;
+    if (this.onSelectionChange) this.onSelectionChange(cells);
+  }
+
+  // Plain click selects one cell, shift-click builds a pair for merging
+  selectCellAt(x, y, additive) {
+    const cell = this.findCellAt(x, y);
+    if (!additive) {
+      this.setSelection(cell ? [cell] : []);
+    } else if (cell && this.selectedCells.includes(cell)) {
+      this.setSelection(this.selectedCells.filter(c => c !== cell));
+    } else if (cell) {
+      this.setSelection([...this.selectedCells, cell].slice(-2));
+    }
+  }
+
+  // Topology edits keep cell ids equal to their index, so per-id render
+  // state is dropped and physics restarts from rest
+  afterTopologyEdit(selection) {
+    this.imageZoomState.clear();
+    this.physics.reset();
+    this.setSelection(selection);
+    if (this.onLayoutChange) this.onLayoutChange();
+  }
+
+  // Both halves need minCellSize of the region the cell owns outright
+  canSplitSelected(horizontal) {
+    const cell = this.selectedCells[this.selectedCells.length - 1];
+    if (!cell || cell.locked) return false;
+    const inner = cell.getInnerRestBounds();
+    const span = horizontal ? inner.bottom - inner.top : inner.right - inner.left;
+    return span >= 2 * this.minCellSize;
+  }
+
+  splitSelected(horizontal, ratio) {
+    if (!this.canSplitSelected(horizontal)) return;
+    const cell = this.selectedCells[this.selectedCells.length - 1];
+    this.grid.splitCell(cell, horizontal, ratio, this.minCellSize);
+    this.afterTopologyEdit([cell]);
+  }
+
+  canMergeSelected() {
+    return this.selectedCells.length === 2 && !!this.grid.getMergePlan(...this.selectedCells);
+  }
+
+  // Locks all selected cells, or unlocks them if they are all locked
+  toggleLockSelected() {
+    if (this.selectedCells.length === 0) return;
+    const lock = !this.selectedCells.every(cell => cell.locked);
+    for (const cell of this.selectedCells) cell.locked = lock;
+    this.setSelection(this.selectedCells);
+    if (this.onLayoutChange) this.onLayoutChange();
+  }
+
+  mergeSelected() {
+    if (!this.canMergeSelected()) return;
+    const merged = this.grid.mergeCells(...this.selectedCells);
+    this.afterTopologyEdit([merged]);
+  }
+
+  // Give each cell the matching file (images or videos), as object URLs
+  assignMediaFiles(cells, files) {
+    files.slice(0, cells.length).forEach((file, i) => {
+      cells[i].image = createMedia(this.getLocalURL(file), isVideoFile(file));
+      cells[i].focus = null;
+    });
+  }
+
+  // Every cell gets one of `files`, the one closest to its shape (see
+  // matchAspects) with the largest cells choosing first, repeating files
+  // if there are fewer than cells. Text tiles and locked cells keep what
+  // they have.
+  async spreadMediaFiles(files) {
+    if (files.length === 0) return;
+    const probes = files.map(file => createMedia(this.getLocalURL(file), isVideoFile(file)));
+    const sizes = (await Promise.all(probes.map(mediaReady))).map(getMediaSize);
+    const cells = this.grid.cells
+      .filter(cell => !cell.isTextTile && !cell.locked)
+      .sort((a, b) => b.restWidth * b.restHeight - a.restWidth * a.restHeight);
+    // Each file's probe goes to the first cell showing it; repeats get an
+    // element of their own, as every cell plays its video independently
+    matchAspects(cells, sizes).forEach((index, i) => {
+      cells[i].image = probes[index] || createMedia(this.getLocalURL(files[index]), isVideoFile(files[index]));
+      cells[i].focus = null;
+      probes[index] = null;
     });
+    // Populate draws from the local files from now on
+    this.imageProvider = 'local';
+  }
+
+  // Photo-collage: nudge the splits so each cell takes the shape of the
+  // image it shows. Cells without a loaded image don't pull either way.
+  fitCollage() {
+    const aspects = new Map();
+    for (const cell of this.grid.cells) {
+      const size = cell.isTextTile ? null : getMediaSize(cell.image);
+      if (size) aspects.set(cell, size.width / size.height);
+    }
+    if (aspects.size === 0) return;
+    this.grid.fitAspects(aspects, this.minCellSize);
+    this.afterTopologyEdit(this.selectedCells);
+  }
+
+  // One object URL per file for the whole session (see localFiles)
+  getLocalURL(file) {
+    for (const [url, known] of this.localFiles) if (known === file) return url;
+    const url = URL.createObjectURL(file);
+    this.localFiles.set(url, file);
+    return url;
+  }
+
+  // Swap this session's object URLs in `text` for data URLs
+  async embedLocalFiles(text) {
+    for (const [url, file] of this.localFiles) {
+      if (text.includes(url)) text = text.split(url).join(await readAsDataURL(file));
+    }
+    return text;
+  }
+
+  // Inspector edits; `image` is an image or video URL, empty to clear it
+  setCellProperties(cell, changes) {
+    if ('color' in changes) cell.color = changes.color;
+    if ('image' in changes) {
+      cell.image = changes.image ? createMedia(changes.image) : null;
+      cell.focus = null;
+    }
+    if ('focus' in changes) cell.focus = changes.focus;
+    if ('link' in changes) cell.link = changes.link || null;
+    if ('linkTarget' in changes) cell.linkTarget = changes.linkTarget;
+    if ('alt' in changes) cell.alt = changes.alt || null;
+  }
+
+  // Clicking the image of the one selected cell moves its focal point
+  // there; anywhere else selects as usual
+  setFocusAt(x, y) {
+    const [cell] = this.selectedCells;
+    const rect = cell && this.mediaRects.get(cell.id);
+    if (this.selectedCells.length !== 1 || !rect || this.findCellAt(x, y) !== cell) return false;
+    const fraction = (v, start, size) => Math.round(Math.min(1, Math.max(0, (v - start) / size)) * 1000) / 1000;
+    cell.focus = { x: fraction(x, rect.x, rect.width), y: fraction(y, rect.y, rect.height) };
+    this.setSelection(this.selectedCells);
+    if (this.onLayoutChange) this.onLayoutChange();
+    return true;
+  }
+
+  // Merge `changes` into a cell's content (see DEFAULT_CONTENT)
+  setCellContent(cell, changes) {
+    cell.content = normalizeContent({ ...cell.content, ...changes });
+  }
+
+  // Diagonal endpoints win over edges so handles stay grabbable where
+  // they sit on top of an edge
+  findEditTarget(x, y, tolerance = 6) {
+    for (const [, diagonal] of this.grid.diagonals) {
+      for (const end of [1, 2]) {
+        const dx = diagonal[`restX${end}`] - x;
+        const dy = diagonal[`restY${end}`] - y;
+        if (Math.sqrt(dx * dx + dy * dy) <= tolerance * 1.5) return { type: 'diagonal', diagonal, end };
+      }
+    }
+
+    let best = null;
+    let bestDist = tolerance;
+
+    for (const [, edge] of this.grid.edges) {
+      if (edge.isBoundary) continue;
+      const span = this.grid.getEdgeSpan(edge);
+      if (!span) continue;
+
+      const along = edge.isHorizontal ? x : y;
+      if (along < span.start || along > span.end) continue;
+
+      const dist = Math.abs((edge.isHorizontal ? y : x) - edge.rest);
+      if (dist < bestDist) {
+        best = { type: 'edge', edge };
+        bestDist = dist;
+      }
+    }
+
+    return best;
+  }
+
+  getEditCursor(target) {
+    if (!target) return '';
+    if (target.type === 'diagonal') return target.diagonal.orientation === 'vertical' ? 'ew-resize' : 'ns-resize';
+    return target.edge.isHorizontal ? 'ns-resize' : 'ew-resize';
+  }
+
+  updateDrag(x, y) {
+    const drag = this.drag;
+    if (drag.type === 'edge') {
+      this.grid.moveEdge(drag.edge, drag.edge.isHorizontal ? y : x, this.minCellSize);
+    } else {
+      const vertical = drag.diagonal.orientation === 'vertical';
+      this.grid.moveDiagonalEndpoint(drag.diagonal, drag.end, vertical ? x : y, this.minCellSize);
+    }
+    drag.moved = true;
+  }
+
+  renderEditOverlay(ctx) {
+    const active = this.drag || this.editHover;
+
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 2;
+
+    for (const [, edge] of this.grid.edges) {
+      if (edge.isBoundary) continue;
+      const span = this.grid.getEdgeSpan(edge);
+      if (!span) continue;
+
+      ctx.strokeStyle = active?.edge === edge ? '#facc15' : 'rgba(255,255,255,0.35)';
+      ctx.beginPath();
+      if (edge.isHorizontal) {
+        ctx.moveTo(span.start, edge.rest);
+        ctx.lineTo(span.end, edge.rest);
+      } else {
+        ctx.moveTo(edge.rest, span.start);
+        ctx.lineTo(edge.rest, span.end);
+      }
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#facc15';
+    for (const cell of this.selectedCells) {
+      const vertices = cell.getVertices(this.gap);
+      if (vertices.length < 3) continue;
+      ctx.beginPath();
+      vertices.forEach((v, i) => (i === 0 ? ctx.moveTo(v.x, v.y) : ctx.lineTo(v.x, v.y)));
+      ctx.closePath();
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Focal point of the selected cell's image
+    const rect = this.selectedCells.length === 1 && this.mediaRects.get(this.selectedCells[0].id);
+    if (rect) {
+      const focus = this.selectedCells[0].focus || { x: 0.5, y: 0.5 };
+      const fx = rect.x + focus.x * rect.width;
+      const fy = rect.y + focus.y * rect.height;
+      ctx.strokeStyle = '#facc15';
+      ctx.beginPath();
+      ctx.arc(fx, fy, 7, 0, Math.PI * 2);
+      ctx.moveTo(fx - 11, fy);
+      ctx.lineTo(fx + 11, fy);
+      ctx.moveTo(fx, fy - 11);
+      ctx.lineTo(fx, fy + 11);
+      ctx.stroke();
+    }
+
+    for (const [, diagonal] of this.grid.diagonals) {
+      for (const end of [1, 2]) {
+        const isActive = active?.diagonal === diagonal && active.end === end;
+        ctx.fillStyle = isActive ? '#facc15' : '#f8fafc';
+        ctx.beginPath();
+        ctx.arc(diagonal[`restX${end}`], diagonal[`restY${end}`], 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
   }
 
   regenerate() {
-    this.grid = new EdgeGrid(this.width, this.height);
-    this.grid.generate(this.subdivisionDepth, this.minCellSize, this.diagonalCount, this.hoverScale);
-    this.physics = new PhysicsEngine(this.grid);
+    // Locked cells are pinned to the region they own outright (any
+    // diagonal overlap is given back to the neighbour)
+    const locked = this.grid
+      ? this.grid.cells.filter(cell => cell.locked).map(cell => ({ bounds: cell.getInnerRestBounds(), source: cell }))
+      : [];
+
+    this.grid = new EdgeGrid(this.width, this.height, this.seed);
+    this.grid.strategy = this.layoutStrategy;
+    this.grid.columnGrid = { ...this.columnGrid };
+    this.grid.items = this.items;
+    this.grid.maxAspect = this.maxAspect;
+    this.grid.curveCount = this.curveCount;
+    this.grid.generate(this.subdivisionDepth, this.minCellSize, this.diagonalCount, this.hoverScale, locked);
+    if (this.field) {
+      this.field = new FieldGrid(this.seed, this.minCellSize);
+      this.updateField();
+    }
+
+    // Weighted items bring their own images
+    for (const cell of this.grid.cells) {
+      if (cell.locked || !cell.item?.image) continue;
+      cell.image = createMedia(cell.item.image);
+    }
+
+    this.createPhysics();
+    this.setSelection([]);
+  }
+
+  // New engine for the current grid, keeping the tuned parameters of the
+  // previous one (a fresh engine would silently reset every slider)
+  createPhysics() {
+    const previous = this.physics;
+    this.physics = new PhysicsEngine(this.scene);
+    if (previous) {
+      for (const key of PHYSICS_PARAMS) this.physics[key] = previous[key];
+    }
     this.physics.reset();
+    this.detailCell = null;
+  }
+
+  // Replace the current grid with serialized data (see serializeGrid)
+  loadLayout(data) {
+    const grid = EdgeGrid.fromJSON(data, this.width, this.height);
+
+    this.seed = grid.seed;
+    this.grid = grid;
+    this.createPhysics();
+    this.hoveredCell = null;
+    this.imageZoomState.clear();
+    this.setSelection([]);
+
+    data.cells.forEach((c, i) => {
+      if (c.video || c.image) this.grid.cells[i].image = createMedia(c.video || c.image, !!c.video);
+    });
+  }
+
+  // Accepts a saved layout JSON file or a previously exported HTML page
+  async importFile(file) {
+    const text = await file.text();
+    const data = text.includes('const GRID_DATA') ? parseExportedHTML(text) : JSON.parse(text);
+    this.loadLayout(data);
   }
 
+  // Physics runs in fixed PHYSICS_STEP steps, as many as the elapsed time
+  // calls for; frames are drawn between the last two steps so motion stays
+  // smooth when the refresh rate isn't a multiple of the step rate
   startAnimation() {
-    const tick = () => {
-      if (this.hoveredCell) {
-        this.physics.applyHoverForce(this.hoveredCell, this.hoverScale);
+    let last = performance.now();
+    let accumulator = 0;
+
+    const tick = now => {
+      const elapsed = Math.min(Math.max(now - last, 0), PHYSICS_STEP * MAX_PHYSICS_STEPS);
+      last = now;
+      this.frameTime = elapsed;
+
+      if (this.field && this.updateField() > 0 && this.onLayoutChange) this.onLayoutChange();
+
+      // Hover physics is paused while editing; edges sit at rest
+      if (this.editMode) {
+        accumulator = 0;
+        this.physics.snapshot();
+        this.render();
       } else {
-        this.physics.clearHover();
+        accumulator += elapsed;
+        while (accumulator >= PHYSICS_STEP) {
+          this.physics.snapshot();
+          if (this.hoveredCell && !this.detailCell) {
+            this.physics.applyHoverForce(this.hoveredCell, this.hoverScale);
+          } else {
+            this.physics.clearHover();
+          }
+          this.physics.update();
+          accumulator -= PHYSICS_STEP;
+        }
+        this.physics.interpolate(accumulator / PHYSICS_STEP);
+        this.render();
+        this.physics.restore();
+      }
+
+      // At most once a second: the count can change on every step while
+      // cells are squeezed, and each report rebuilds the metrics panel
+      if (this.physics.violations !== this.reportedViolations && now - this.violationsReportedAt >= VIOLATION_REPORT_INTERVAL) {
+        this.reportedViolations = this.physics.violations;
+        this.violationsReportedAt = now;
+        if (this.onMetricsChange) this.onMetricsChange();
       }
-      this.physics.update();
-      this.render();
       requestAnimationFrame(tick);
     };
-    tick();
+    tick(last);
   }
 
   render() {
@@ -730,10 +3444,14 @@ class BentoGrid {
 
     ctx.save();
     ctx.translate(this.canvasOffsetX, this.canvasOffsetY);
+    if (this.field) {
+      ctx.scale(this.camera.zoom, this.camera.zoom);
+      ctx.translate(-this.camera.x, -this.camera.y);
+    }
 
     const radius = 6;
 
-    for (const cell of this.grid.cells) {
+    for (const cell of this.scene.cells) {
       const vertices = cell.getVertices(this.gap);
       if (vertices.length < 3) continue;
 
@@ -745,7 +3463,7 @@ class BentoGrid {
       if (maxX - minX <= 0 || maxY - minY <= 0) continue;
 
       const isHovered = cell === this.hoveredCell;
-      const isOutside = minX < 0 || minY < 0 || maxX > this.width || maxY > this.height;
+      const isOutside = !this.field && (minX < 0 || minY < 0 || maxX > this.width || maxY > this.height);
 
       ctx.globalAlpha = isOutside ? 0.5 : 1;
 
@@ -780,34 +3498,40 @@ class BentoGrid {
       ctx.closePath();
 
       // Draw image or color
-      if (cell.image && cell.image.complete && cell.image.naturalWidth > 0) {
+      const mediaSize = cell.isTextTile ? null : getMediaSize(cell.image);
+      const showsImage = !!mediaSize;
+      syncVideo(cell.image, showsImage && (isHovered || cell === this.detailCell));
+      if (!showsImage) this.mediaRects.delete(cell.id);
+      if (showsImage) {
         ctx.save();
         ctx.clip();
 
         // Image zoom: zoomed in by default, zooms out on hover
-        // Calculate based on maximum cell size (when fully expanded)
-        const maxCellW = cell.restWidth * this.hoverScale;
-        const maxCellH = cell.restHeight * this.hoverScale;
+        // Calculate based on maximum cell size (when fully expanded, or
+        // its current size in the detail view)
+        const isDetail = cell === this.detailCell;
+        const maxCellW = isDetail ? Math.max(cell.restWidth * this.hoverScale, maxX - minX) : cell.restWidth * this.hoverScale;
+        const maxCellH = isDetail ? Math.max(cell.restHeight * this.hoverScale, maxY - minY) : cell.restHeight * this.hoverScale;
 
         const defaultZoom = this.imageZoom; // Extra zoom in for bleed
         const hoverZoom = 1.0;              // Fits expanded cell perfectly
-        const targetZoom = isHovered ? hoverZoom : defaultZoom;
+        const targetZoom = (isHovered && !this.detailCell) || isDetail ? hoverZoom : defaultZoom;
 
         // Animate image zoom separately from cell expansion
         if (!this.imageZoomState.has(cell.id)) {
           this.imageZoomState.set(cell.id, defaultZoom);
         }
+        // imageZoomSpeed is the share closed per physics step; scale it to
+        // the time this frame covers
         let currentZoom = this.imageZoomState.get(cell.id);
-        currentZoom += (targetZoom - currentZoom) * this.imageZoomSpeed;
+        const ease = 1 - Math.pow(1 - this.imageZoomSpeed, this.frameTime / PHYSICS_STEP);
+        currentZoom += (targetZoom - currentZoom) * ease;
         this.imageZoomState.set(cell.id, currentZoom);
 
         const zoom = currentZoom;
 
-        const centerX = (minX + maxX) / 2;
-        const centerY = (minY + maxY) / 2;
-
         // Size image based on max expanded size × zoom
-        const imgAspect = cell.image.naturalWidth / cell.image.naturalHeight;
+        const imgAspect = mediaSize.width / mediaSize.height;
         const cellAspect = maxCellW / maxCellH;
 
         let drawW, drawH;
@@ -821,8 +3545,11 @@ class BentoGrid {
           drawH = drawW / imgAspect;
         }
 
-        const drawX = centerX - drawW / 2;
-        const drawY = centerY - drawH / 2;
+        // Zooming in and out keeps the focal point in place where it can
+        const focus = cell.focus || { x: 0.5, y: 0.5 };
+        const drawX = placeMedia(minX, maxX, drawW, focus.x);
+        const drawY = placeMedia(minY, maxY, drawH, focus.y);
+        this.mediaRects.set(cell.id, { x: drawX, y: drawY, width: drawW, height: drawH });
 
         ctx.drawImage(cell.image, drawX, drawY, drawW, drawH);
         ctx.restore();
@@ -831,24 +3558,42 @@ class BentoGrid {
         ctx.fill();
       }
 
-      // Stroke
-      ctx.strokeStyle = 'rgba(255,255,255,0.3)';
-      ctx.lineWidth = 1.5;
+      if (cell.content) {
+        ctx.save();
+        ctx.clip();
+        drawCellContent(ctx, cell.content, { minX, minY, maxX, maxY }, showsImage);
+        ctx.restore();
+      }
+
+      // Stroke (locked cells are outlined so it's clear what survives Regenerate)
+      ctx.strokeStyle = cell.locked ? 'rgba(250,204,21,0.9)' : 'rgba(255,255,255,0.3)';
+      ctx.lineWidth = cell.locked ? 2.5 : 1.5;
       ctx.stroke();
     }
 
+    if (this.editMode) this.renderEditOverlay(ctx);
+
     ctx.restore();
     ctx.globalAlpha = 1;
   }
 
   // Public API
-  getShapeCount() { return this.grid ? this.grid.cells.length : 0; }
-  getDiagonalCount() { return this.grid ? this.grid.diagonals.size : 0; }
+  getShapeCount() {
+    if (this.field) return this.field.cells.length;
+    return this.grid ? this.grid.cells.length : 0;
+  }
+  getDiagonalCount() { return this.scene ? [...this.scene.diagonals.values()].filter(d => !(d instanceof CurvedEdge)).length : 0; }
+  getCurveCount() { return this.scene ? [...this.scene.diagonals.values()].filter(d => d instanceof CurvedEdge).length : 0; }
+  getRequestedDiagonalCount() { return this.grid && !this.field ? this.grid.diagonalsRequested : 0; }
+  getRequestedCurveCount() { return this.grid && !this.field ? this.grid.curvesRequested : 0; }
+  getWorstAspect() { return this.grid ? this.grid.worstAspect : 0; }
+  getViolationCount() { return this.physics ? this.physics.violations : 0; }
 
   setGap(v) { this.gap = v; }
   setHoverScale(v) { this.hoverScale = v; }
   setSubdivisionDepth(v) { this.subdivisionDepth = v; this.regenerate(); }
   setDiagonalCount(v) { this.diagonalCount = v; }
+  setCurveCount(v) { this.curveCount = v; }
   setIncompressibility(v) { if (this.physics) this.physics.incompressibility = v; }
   setMinSizeRatio(v) { if (this.physics) this.physics.minSizeRatio = v; }
   setBleedZone(v) { if (this.physics) this.physics.bleedZone = v; }
@@ -856,8 +3601,134 @@ class BentoGrid {
   setRippleSpeed(v) { if (this.physics) this.physics.rippleSpeed = v; }
   setOvershoot(v) { if (this.physics) this.physics.overshoot = v; }
   setFillRatio(v) { if (this.physics) this.physics.fillRatio = v; }
+  setHardMinSize(v) { if (this.physics) this.physics.hardMinSize = v; }
   setImageZoom(v) { this.imageZoom = v; }
   setImageZoomSpeed(v) { this.imageZoomSpeed = v; }
+  setSeed(v) { this.seed = v >>> 0; this.regenerate(); }
+  setLayoutStrategy(v) { this.withinAspect(() => { this.layoutStrategy = v; }); }
+  // Counts are whole and at least 1, spans fit inside their count and a
+  // min span leaves room for at least one split. If min passes max, the
+  // field being set wins and the other follows it.
+  setColumnGrid(v) {
+    const g = { ...this.columnGrid, ...v };
+    for (const [count, min, max] of [['columns', 'minColSpan', 'maxColSpan'], ['rows', 'minRowSpan', 'maxRowSpan']]) {
+      const whole = (value, limit) => Math.min(limit, Math.max(1, Math.round(value) || 1));
+      g[count] = whole(g[count], Infinity);
+      g[min] = whole(g[min], Math.max(1, Math.floor(g[count] / 2)));
+      g[max] = whole(g[max], g[count]);
+      if (g[min] > g[max]) {
+        if (max in v) g[min] = g[max];
+        else g[max] = g[min];
+      }
+    }
+    this.columnGrid = g;
+    this.regenerate();
+  }
+  setItems(v) { this.withinAspect(() => { this.items = v; }); }
+  setMaxAspect(v) { this.withinAspect(() => { this.maxAspect = v; }); }
+  setImageProvider(v) { this.imageProvider = v; }
+  setImageSource(v) { this.imageSources = { ...this.imageSources, [this.imageProvider]: v }; }
+
+  // Weighted layouts keep every cell within maxAspect. A change that leaves
+  // no ordering inside the bound is undone and thrown, so the caller can
+  // say why instead of showing an over-long cell.
+  withinAspect(change) {
+    const previous = { items: this.items, maxAspect: this.maxAspect, layoutStrategy: this.layoutStrategy };
+    change();
+    this.regenerate();
+    if (this.layoutStrategy !== 'weighted' || !(this.grid.worstAspect > this.maxAspect)) return;
+
+    const worst = this.grid.worstAspect;
+    const bound = this.maxAspect;
+    Object.assign(this, previous);
+    this.regenerate();
+    throw new Error(`these weights need a cell of ${worst.toFixed(1)}:1, past the ${bound}:1 aspect bound. ` +
+      'Even out the weights or raise the bound.');
+  }
+
+  reseed() { this.setSeed(randomSeed()); }
+
+  // One image seed per cell, derived from the layout seed so a saved seed
+  // brings back the same placeholder images as well as the same edges
+  getImageSeeds() {
+    const rng = createRng(this.seed ^ 0x9E3779B9);
+    return this.grid.cells.map(() => Math.floor(rng() * 4294967296).toString(36));
+  }
+
+  getImageProvider() {
+    return IMAGE_PROVIDERS[this.imageProvider] || IMAGE_PROVIDERS.picsum;
+  }
+
+  getProviderKey() {
+    return JSON.stringify([this.imageProvider, this.imageSources[this.imageProvider] || '', [...this.localFiles.keys()]]);
+  }
+
+  // Run the provider's load() unless its source is unchanged since last time
+  async loadImageProvider() {
+    const provider = this.getImageProvider();
+    const key = this.getProviderKey();
+    if (!provider.load || this.providerData?.key === key) return;
+    const files = [...this.localFiles].map(([url, file]) => ({ file, url }));
+    const data = await provider.load(this.imageSources[this.imageProvider] || '', files);
+    this.providerData = { key, data };
+  }
+
+  // Provider media for `cells` as { src, video }, null where it has none
+  // (or its data hasn't been loaded yet)
+  getProviderMedia(cells) {
+    const provider = this.getImageProvider();
+    const imageSeeds = this.getImageSeeds();
+    const requests = cells.map(cell => ({
+      cell,
+      width: Math.ceil(cell.restWidth * this.hoverScale),
+      height: Math.ceil(cell.restHeight * this.hoverScale),
+      seed: imageSeeds[cell.id]
+    }));
+    const data = this.providerData?.key === this.getProviderKey() ? this.providerData.data : null;
+    return provider.sources(requests, { source: this.imageSources[this.imageProvider] || '', data }).map(media => {
+      if (!media) return null;
+      const { src, video } = typeof media === 'string' ? { src: media } : media;
+      return { src, video: video ?? VIDEO_EXTENSIONS.test(src) };
+    });
+  }
+
+  // Object-valued settings are copied so snapshots don't alias live state
+  getSettings() {
+    const settings = {};
+    for (const key of GRID_SETTINGS) settings[key] = copySetting(this[key]);
+    for (const key of PHYSICS_PARAMS) settings[key] = this.physics[key];
+    return settings;
+  }
+
+  applySettings(settings) {
+    for (const key of GRID_SETTINGS) if (key in settings) this[key] = copySetting(settings[key]);
+    for (const key of PHYSICS_PARAMS) if (key in settings) this.physics[key] = settings[key];
+  }
+
+  // Record layout + settings as an undo step; returns false when nothing
+  // changed since the current step
+  commitHistory() {
+    // The field isn't serializable; history covers the bounded grid only
+    if (this.field) return false;
+    const entry = { grid: this.serializeGrid(), settings: this.getSettings() };
+    entry.key = JSON.stringify(entry);
+    if (this.history.current?.key === entry.key) return false;
+
+    entry.thumbnail = renderThumbnail(entry.grid);
+    this.history.push(entry);
+    return true;
+  }
+
+  restoreSnapshot(entry) {
+    if (!entry) return false;
+    this.applySettings(entry.settings);
+    this.loadLayout(entry.grid);
+    return true;
+  }
+
+  undo() { return !this.field && this.restoreSnapshot(this.history.undo()); }
+  redo() { return !this.field && this.restoreSnapshot(this.history.redo()); }
+  goToHistory(index) { return !this.field && this.restoreSnapshot(this.history.goTo(index)); }
 
   // Serialize the current grid state for export
   serializeGrid() {
@@ -876,8 +3747,11 @@ class BentoGrid {
       diagonals[id] = {
         id: diag.id,
         restX1: diag.restX1, restY1: diag.restY1,
-        restX2: diag.restX2, restY2: diag.restY2
+        restX2: diag.restX2, restY2: diag.restY2,
+        orientation: diag.orientation,
+        endEdgeIds: diag.endEdges ? diag.endEdges.map(edge => edge.id) : null
       };
+      if (diag instanceof CurvedEdge) diagonals[id].controls = [diag.restC1, diag.restC2];
     }
 
     const cells = this.grid.cells.map((cell, i) => ({
@@ -887,13 +3761,25 @@ class BentoGrid {
       leftId: cell.left.id,
       rightId: cell.right.id,
       color: cell.color,
+      image: cell.image && !isVideo(cell.image) ? cell.image.src : null,
+      video: isVideo(cell.image) ? cell.image.src : null,
+      link: cell.link,
+      linkTarget: cell.linkTarget,
+      alt: cell.alt,
+      item: cell.item,
+      focus: cell.focus,
+      content: cell.content,
+      locked: cell.locked,
       diagonalClips: cell.diagonalClips.map(clip => ({
         diagonalId: clip.diagonal.id,
         keepSide: clip.keepSide
       }))
     }));
 
-    return { edges, diagonals, cells, width: this.width, height: this.height };
+    return {
+      seed: this.grid.seed, edges, diagonals, cells, width: this.width, height: this.height,
+      diagonalsRequested: this.grid.diagonalsRequested, curvesRequested: this.grid.curvesRequested
+    };
   }
 
   // Generate self-contained HTML with full physics engine
@@ -902,16 +3788,21 @@ class BentoGrid {
 
     const gridData = this.serializeGrid();
 
-    // Build image configuration for users to edit
+    // Build image configuration for users to edit; cells without media get
+    // the image provider's
+    const providerMedia = this.getProviderMedia(this.grid.cells);
     const imageConfig = this.grid.cells.map((cell, i) => {
-      const w = Math.ceil(cell.restWidth * 1.3);
-      const h = Math.ceil(cell.restHeight * 1.3);
-      const seed = Math.random().toString(36).substring(7);
+      const media = cell.isTextTile ? null : cell.image ? { src: cell.image.src, video: isVideo(cell.image) } : providerMedia[i];
       return {
         cellId: i,
-        image: cell.image?.src || `https://picsum.photos/seed/${seed}/${w}/${h}`,
-        link: '#',
-        alt: `Cell ${i + 1}`
+        color: cell.color,
+        image: media && !media.video ? media.src : null,
+        video: media?.video ? media.src : undefined,
+        focus: cell.focus || undefined,
+        link: cell.link || '#',
+        target: cell.linkTarget,
+        alt: cell.alt || `Cell ${i + 1}`,
+        content: cell.content || undefined
       };
     });
 
@@ -925,6 +3816,8 @@ class BentoGrid {
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body { background: #0f172a; overflow: hidden; }
     #container { width: 100vw; height: 100vh; position: relative; overflow: hidden; }
+    .cell-layer { position: absolute; inset: 0; pointer-events: none; }
+    .cell-layer > * { position: absolute; outline: none; }
   </style>
 </head>
 <body>
@@ -932,16 +3825,18 @@ class BentoGrid {
 
   <script>
 // ============================================
-// CONFIGURATION - Edit your images and links here!
+// CONFIGURATION - Edit your colors, images and links here!
 // ============================================
-const IMAGE_CONFIG = ${JSON.stringify(imageConfig, null, 2)};
+const IMAGE_CONFIG = ${scriptJSON(imageConfig, 2)};
 
 // Grid settings (adjust if needed)
 const SETTINGS = {
   gap: ${this.gap},
   hoverScale: ${this.hoverScale},
   imageZoom: ${this.imageZoom},
-  imageZoomSpeed: ${this.imageZoomSpeed}
+  imageZoomSpeed: ${this.imageZoomSpeed},
+  // Click a cell to grow it over the grid; click again or press Escape to return
+  detailMode: ${this.detailMode}
 };
 
 // Physics settings
@@ -954,13 +3849,175 @@ const PHYSICS = {
   scaleSpeed: ${this.physics?.scaleSpeed || 0.15},
   rippleSpeed: ${this.physics?.rippleSpeed || 0.10},
   overshoot: ${this.physics?.overshoot || 0.15},
-  fillRatio: ${this.physics?.fillRatio || 0}
+  fillRatio: ${this.physics?.fillRatio || 0},
+  hardMinSize: ${this.physics?.hardMinSize ?? 12}
+};
+const PHYSICS_STEP = 1000 / 60;
+const MAX_PHYSICS_STEPS = 5;
+const CONSTRAINT_PASSES = 6;
+const TAP_SLOP = 10;
+const DETAIL_FILL = 0.85;
+const DIAGONAL_STATE = ['x1', 'y1', 'x2', 'y2', 'c1', 'c2'];
+
+function detailMap(lo, hi, from, to, minBefore, minAfter) {
+  const size = Math.min((hi - lo) * DETAIL_FILL, hi - lo - minBefore - minAfter);
+  if (size <= to - from) return v => v;
+  const before = from - lo, after = hi - to, spare = hi - lo - size;
+  const start = lo + Math.min(Math.max(spare * before / (before + after), minBefore), spare - minAfter);
+  const end = start + size;
+  return v => {
+    if (v <= from) return before > 0 ? lo + (v - lo) * (start - lo) / before : start;
+    if (v >= to) return after > 0 ? hi - (hi - v) * (hi - end) / after : end;
+    return start + (v - from) * size / (to - from);
+  };
+}
+
+// Entries with "video" instead of "image" play muted and looped while hovered
+function createMedia(src, video) {
+  const media = document.createElement(video ? 'video' : 'img');
+  media.crossOrigin = 'anonymous';
+  if (video) {
+    media.muted = true;
+    media.loop = true;
+    media.playsInline = true;
+    media.preload = 'auto';
+  }
+  media.src = src;
+  return media;
+}
+
+function isVideo(media) {
+  return !!media && media.tagName === 'VIDEO';
+}
+
+function getMediaSize(media) {
+  if (!media) return null;
+  if (isVideo(media)) {
+    return media.readyState >= 2 && media.videoWidth > 0 ? { width: media.videoWidth, height: media.videoHeight } : null;
+  }
+  return media.complete && media.naturalWidth > 0 ? { width: media.naturalWidth, height: media.naturalHeight } : null;
+}
+
+function placeMedia(min, max, size, focus) {
+  if (size <= max - min) return (min + max - size) / 2;
+  return Math.min(min, Math.max(max - size, (min + max) / 2 - size * focus));
+}
+
+function syncVideo(media, playing) {
+  if (!isVideo(media) || playing === !media.paused) return;
+  if (playing) media.play().catch(() => {});
+  else media.pause();
+}
+
+// Cell text (the "content" entries in IMAGE_CONFIG)
+const DEFAULT_CONTENT = {
+  badge: '', icon: '', title: '', caption: '',
+  align: 'left', valign: 'bottom', font: 'sans', overlay: 'auto', textOnly: false
+};
+const CONTENT_BLOCKS = [
+  { key: 'badge', size: 11, weight: 600, lineHeight: 1.6 },
+  { key: 'icon', size: 26, weight: 400, lineHeight: 1.3 },
+  { key: 'title', size: 20, weight: 700, lineHeight: 1.2 },
+  { key: 'caption', size: 13, weight: 400, lineHeight: 1.4 }
+];
+const CONTENT_FONTS = {
+  sans: '"Inter", system-ui, -apple-system, "Segoe UI", sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: 'ui-monospace, Menlo, Consolas, monospace'
 };
+const CONTENT_PADDING = 14;
+
+function wrapText(ctx, text, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\\s+/).filter(Boolean)) {
+      const candidate = line ? line + ' ' + word : word;
+      if (line && ctx.measureText(candidate).width > width) { lines.push(line); line = word; }
+      else line = candidate;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function drawCellContent(ctx, content, box, overImage) {
+  const pad = CONTENT_PADDING;
+  const width = box.maxX - box.minX - pad * 2;
+  const height = box.maxY - box.minY - pad * 2;
+  if (width < 24 || height < 12) return;
+
+  const family = CONTENT_FONTS[content.font] || CONTENT_FONTS.sans;
+  const lines = [];
+  let used = 0, clipped = false;
+  for (const block of CONTENT_BLOCKS) {
+    const text = content[block.key];
+    if (!text || clipped) continue;
+    ctx.font = block.weight + ' ' + block.size + 'px ' + family;
+    for (const line of wrapText(ctx, text, block.key === 'badge' ? width - 12 : width)) {
+      const lineHeight = block.size * block.lineHeight;
+      if (used + lineHeight > height) { clipped = true; break; }
+      lines.push({ block, text: line, font: ctx.font, lineHeight });
+      used += lineHeight;
+    }
+  }
+  if (lines.length === 0) return;
+  if (clipped) {
+    const last = lines[lines.length - 1];
+    ctx.font = last.font;
+    let text = last.text;
+    while (text && ctx.measureText(text + '…').width > width) text = text.slice(0, -1);
+    last.text = text + '…';
+  }
+
+  let y = content.valign === 'top' ? box.minY + pad
+    : content.valign === 'middle' ? (box.minY + box.maxY - used) / 2
+    : box.maxY - pad - used;
+
+  if (content.overlay === 'full' || (content.overlay === 'auto' && overImage && content.valign === 'middle')) {
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.45)';
+    ctx.fillRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY);
+  } else if (content.overlay === 'auto' && overImage) {
+    const reach = Math.min(used + pad * 3, box.maxY - box.minY);
+    const top = content.valign === 'top';
+    const from = top ? box.minY : box.maxY;
+    const to = top ? box.minY + reach : box.maxY - reach;
+    const gradient = ctx.createLinearGradient(0, from, 0, to);
+    gradient.addColorStop(0, 'rgba(15, 23, 42, 0.75)');
+    gradient.addColorStop(1, 'rgba(15, 23, 42, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(box.minX, Math.min(from, to), box.maxX - box.minX, reach);
+  }
+
+  const x = content.align === 'center' ? (box.minX + box.maxX) / 2
+    : content.align === 'right' ? box.maxX - pad
+    : box.minX + pad;
+  ctx.textAlign = content.align;
+  ctx.textBaseline = 'middle';
+  for (const { block, text, font, lineHeight } of lines) {
+    ctx.font = font;
+    const middle = y + lineHeight / 2;
+    if (block.key === 'badge') {
+      const chipWidth = ctx.measureText(text).width + 12;
+      const chipLeft = content.align === 'center' ? x - chipWidth / 2 : content.align === 'right' ? x - chipWidth : x;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.fillRect(chipLeft, middle - block.size * 0.75, chipWidth, block.size * 1.5);
+      ctx.fillStyle = '#0f172a';
+      ctx.textAlign = 'center';
+      ctx.fillText(text, chipLeft + chipWidth / 2, middle);
+      ctx.textAlign = content.align;
+    } else {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(text, x, middle);
+    }
+    y += lineHeight;
+  }
+}
 
 // ============================================
 // GRID DATA (generated - don't edit)
 // ============================================
-const GRID_DATA = ${JSON.stringify(gridData)};
+const GRID_DATA = ${scriptJSON(gridData)};
 
 // ============================================
 // PHYSICS ENGINE
@@ -984,15 +4041,141 @@ class Edge {
 }
 
 class DiagonalEdge {
-  constructor(id, x1, y1, x2, y2) {
+  constructor(id, x1, y1, x2, y2, orientation = 'vertical') {
     this.id = id;
+
+    // 'vertical' dividers run top-to-bottom between a left and right cell,
+    // so their endpoints slide along x; 'horizontal' ones slide along y
+    this.orientation = orientation;
     this.restX1 = x1; this.restY1 = y1;
     this.restX2 = x2; this.restY2 = y2;
     this.x1 = x1; this.y1 = y1;
     this.x2 = x2; this.y2 = y2;
     this.velocity = { x1: 0, y1: 0, x2: 0, y2: 0 };
     this.force = { x1: 0, y1: 0, x2: 0, y2: 0 };
+    this.endEdges = null;
+    this.segments = 1;
   }
+
+  getEnds() {
+    if (!this.endEdges) return [{ x: this.x1, y: this.y1 }, { x: this.x2, y: this.y2 }];
+    const [e1, e2] = this.endEdges;
+    return this.orientation === 'vertical'
+      ? [{ x: this.x1, y: e1.pos }, { x: this.x2, y: e2.pos }]
+      : [{ x: e1.pos, y: this.y1 }, { x: e2.pos, y: this.y2 }];
+  }
+
+  getAcross(t, v1, v2) { return v1 + (v2 - v1) * t; }
+
+  getRestAcross() {
+    return this.orientation === 'vertical' ? [this.restX1, this.restX2] : [this.restY1, this.restY2];
+  }
+}
+
+const CURVE_SEGMENTS = 16;
+
+class CurvedEdge extends DiagonalEdge {
+  constructor(id, x1, y1, x2, y2, c1, c2, orientation = 'vertical') {
+    super(id, x1, y1, x2, y2, orientation);
+    this.restC1 = c1; this.restC2 = c2;
+    this.c1 = c1; this.c2 = c2;
+    this.velocity.c1 = 0;
+    this.velocity.c2 = 0;
+    this.force.c1 = 0;
+    this.force.c2 = 0;
+    this.segments = CURVE_SEGMENTS;
+  }
+
+  getAcross(t, v1, v2) {
+    const s = 1 - t;
+    return s * s * s * v1 + 3 * s * s * t * this.c1 + 3 * s * t * t * this.c2 + t * t * t * v2;
+  }
+
+  getRestAcross() {
+    const [v1, v2] = super.getRestAcross();
+    const across = [];
+    for (let k = 0; k <= this.segments; k++) {
+      const t = k / this.segments, s = 1 - t;
+      across.push(s * s * s * v1 + 3 * s * s * t * this.restC1 + 3 * s * t * t * this.restC2 + t * t * t * v2);
+    }
+    return across;
+  }
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+}
+
+function simplifyPolygon(points) {
+  let result = points;
+  let changed = true;
+  while (changed && result.length > 2) {
+    changed = false;
+    for (let i = 0; i < result.length; i++) {
+      const prev = result[(i + result.length - 1) % result.length];
+      const curr = result[i];
+      const next = result[(i + 1) % result.length];
+      const cross = (curr.x - prev.x) * (next.y - curr.y) - (curr.y - prev.y) * (next.x - curr.x);
+      const same = Math.abs(curr.x - prev.x) < 1e-6 && Math.abs(curr.y - prev.y) < 1e-6;
+      if (same || Math.abs(cross) < 1e-6) {
+        result = result.filter((p, j) => j !== i);
+        changed = true;
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+function insetPolygon(points, distance) {
+  const n = points.length;
+  const sign = polygonArea(points) > 0 ? 1 : -1;
+  const lines = points.map((p, i) => {
+    const q = points[(i + 1) % n];
+    const dx = q.x - p.x;
+    const dy = q.y - p.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const nx = -dy / len * sign;
+    const ny = dx / len * sign;
+    return { x: p.x + nx * distance, y: p.y + ny * distance, dx, dy, nx, ny };
+  });
+  const result = points.map((p, i) => {
+    const a = lines[(i + n - 1) % n];
+    const b = lines[i];
+    const denom = a.dx * b.dy - a.dy * b.dx;
+    if (Math.abs(denom) < 1e-9) return { x: p.x + b.nx * distance, y: p.y + b.ny * distance };
+    const t = ((b.x - a.x) * b.dy - (b.y - a.y) * b.dx) / denom;
+    const point = { x: a.x + a.dx * t, y: a.y + a.dy * t };
+    const reach = Math.hypot(point.x - p.x, point.y - p.y);
+    const limit = distance * 4;
+    if (reach <= limit) return point;
+    return { x: p.x + (point.x - p.x) * limit / reach, y: p.y + (point.y - p.y) * limit / reach };
+  });
+  const area = polygonArea(result);
+  return Math.sign(area) === sign && Math.abs(area) > 1e-6 ? result : null;
+}
+
+function isSimplePolygon(points) {
+  const n = points.length;
+  const crosses = (p1, p2, p3, p4) => {
+    const d = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const d1 = d(p3, p4, p1), d2 = d(p3, p4, p2), d3 = d(p1, p2, p3), d4 = d(p1, p2, p4);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) &&
+           d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+  };
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      if (crosses(points[i], points[(i + 1) % n], points[j], points[(j + 1) % n])) return false;
+    }
+  }
+  return true;
 }
 
 class Cell {
@@ -1016,53 +4199,73 @@ class Cell {
   get restWidth() { return this.right.rest - this.left.rest; }
   get restHeight() { return this.bottom.rest - this.top.rest; }
 
-  getVertices(gap = 0) {
-    const halfGap = gap / 2;
-    const l = this.left.pos + halfGap;
-    const r = this.right.pos - halfGap;
-    const t = this.top.pos + halfGap;
-    const b = this.bottom.pos - halfGap;
-    let vertices = [{ x: l, y: t }, { x: r, y: t }, { x: r, y: b }, { x: l, y: b }];
-    for (const clip of this.diagonalClips) {
-      vertices = this.clipByDiagonal(vertices, clip.diagonal, clip.keepSide, gap);
+  getClipSide(clip) {
+    if (clip.diagonal.orientation === 'vertical') return clip.keepSide === 'positive' ? 'right' : 'left';
+    return clip.keepSide === 'positive' ? 'bottom' : 'top';
+  }
+
+  getOutline() {
+    const l = this.left.pos, r = this.right.pos, t = this.top.pos, b = this.bottom.pos;
+    const sides = [
+      { side: 'top', from: l, to: r, at: t, alongX: true },
+      { side: 'right', from: t, to: b, at: r, alongX: false },
+      { side: 'bottom', from: r, to: l, at: b, alongX: true },
+      { side: 'left', from: b, to: t, at: l, alongX: false }
+    ];
+    const points = [];
+    for (const { side, from, to, at, alongX } of sides) {
+      const point = (u, v) => (alongX ? { x: u, y: v } : { x: v, y: u });
+      const dir = Math.sign(to - from);
+      points.push(point(from, at));
+      const stretches = [];
+      for (const clip of this.diagonalClips) {
+        if (this.getClipSide(clip) !== side) continue;
+        const [p1, p2] = clip.diagonal.getEnds();
+        const [u1, v1, u2, v2] = alongX ? [p1.x, p1.y, p2.x, p2.y] : [p1.y, p1.x, p2.y, p2.x];
+        if (Math.abs(u2 - u1) < 1e-6) continue;
+        const lo = Math.max(Math.min(u1, u2), Math.min(from, to));
+        const hi = Math.min(Math.max(u1, u2), Math.max(from, to));
+        if (hi - lo < 1e-6) continue;
+        const { segments } = clip.diagonal;
+        const across = u => clip.diagonal.getAcross((u - u1) / (u2 - u1), v1, v2);
+        const [enter, exit] = dir > 0 ? [lo, hi] : [hi, lo];
+        const between = [];
+        for (let k = 1; k < segments; k++) {
+          const u = u1 + (u2 - u1) * k / segments;
+          if (u > lo + 1e-6 && u < hi - 1e-6) between.push(u);
+        }
+        between.sort((a, c) => (a - c) * dir);
+        stretches.push({ enter, exit, across, between });
+      }
+      stretches.sort((a, c) => (a.enter - c.enter) * dir);
+      for (const { enter, exit, across, between } of stretches) {
+        points.push(point(enter, at), point(enter, across(enter)));
+        for (const u of between) points.push(point(u, across(u)));
+        points.push(point(exit, across(exit)), point(exit, at));
+      }
     }
-    return vertices;
+    return simplifyPolygon(points);
   }
 
-  clipByDiagonal(vertices, diag, keepSide, gap) {
-    if (vertices.length < 3) return vertices;
+  getVertices(gap = 0) {
     const halfGap = gap / 2;
-    const dx = diag.x2 - diag.x1;
-    const dy = diag.y2 - diag.y1;
-    const len = Math.sqrt(dx * dx + dy * dy);
-    if (len < 0.001) return vertices;
-    const perpX = -dy / len * halfGap;
-    const perpY = dx / len * halfGap;
-    const offsetMult = keepSide === 'positive' ? 1 : -1;
-    const ox1 = diag.x1 + perpX * offsetMult;
-    const oy1 = diag.y1 + perpY * offsetMult;
-    const ox2 = diag.x2 + perpX * offsetMult;
-    const oy2 = diag.y2 + perpY * offsetMult;
-    const result = [];
-    for (let i = 0; i < vertices.length; i++) {
-      const curr = vertices[i];
-      const next = vertices[(i + 1) % vertices.length];
-      const currSide = (ox2 - ox1) * (curr.y - oy1) - (oy2 - oy1) * (curr.x - ox1);
-      const nextSide = (ox2 - ox1) * (next.y - oy1) - (oy2 - oy1) * (next.x - ox1);
-      const currInside = keepSide === 'positive' ? currSide >= 0 : currSide <= 0;
-      const nextInside = keepSide === 'positive' ? nextSide >= 0 : nextSide <= 0;
-      if (currInside) result.push(curr);
-      if (currInside !== nextInside) {
-        const t = currSide / (currSide - nextSide);
-        result.push({ x: curr.x + t * (next.x - curr.x), y: curr.y + t * (next.y - curr.y) });
-      }
-    }
-    return result;
+    if (this.diagonalClips.length === 0) {
+      const l = this.left.pos + halfGap;
+      const r = this.right.pos - halfGap;
+      const t = this.top.pos + halfGap;
+      const b = this.bottom.pos - halfGap;
+      return [{ x: l, y: t }, { x: r, y: t }, { x: r, y: b }, { x: l, y: b }];
+    }
+    const outline = this.getOutline();
+    if (halfGap <= 0 || outline.length < 3) return outline;
+    const inset = insetPolygon(outline, halfGap);
+    return inset && isSimplePolygon(inset) ? inset : outline;
   }
 
   containsPoint(px, py, gap = 0) {
-    if (px < this.x || px > this.x + this.width || py < this.y || py > this.y + this.height) return false;
-    if (this.diagonalClips.length === 0) return true;
+    if (this.diagonalClips.length === 0) {
+      return px >= this.x && px <= this.x + this.width && py >= this.y && py <= this.y + this.height;
+    }
     const vertices = this.getVertices(gap);
     if (vertices.length < 3) return false;
     let inside = false;
@@ -1083,9 +4286,58 @@ class PhysicsEngine {
     this.hoveredCell = null;
     this.hoverScale = 1;
     this.hoveredEdges = new Set();
+    this.detail = null;
     Object.assign(this, PHYSICS);
   }
 
+  setDetail(cell, topBoundary, bottomBoundary, leftBoundary, rightBoundary) {
+    if (!cell) { this.detail = null; return; }
+    const cells = this.cells;
+    const strip = (span, sizes) => (sizes.length ? this.hardMinSize * 2 * span / Math.min(...sizes) : 0);
+    const left = cells.filter(c => c.right.rest <= cell.left.rest).map(c => this.getRestExtent(c, true));
+    const right = cells.filter(c => c.left.rest >= cell.right.rest).map(c => this.getRestExtent(c, true));
+    const above = cells.filter(c => c.bottom.rest <= cell.top.rest).map(c => this.getRestExtent(c, false));
+    const below = cells.filter(c => c.top.rest >= cell.bottom.rest).map(c => this.getRestExtent(c, false));
+    this.detail = {
+      cell,
+      x: detailMap(leftBoundary.rest, rightBoundary.rest, cell.left.rest, cell.right.rest,
+        strip(cell.left.rest - leftBoundary.rest, left), strip(rightBoundary.rest - cell.right.rest, right)),
+      y: detailMap(topBoundary.rest, bottomBoundary.rest, cell.top.rest, cell.bottom.rest,
+        strip(cell.top.rest - topBoundary.rest, above), strip(bottomBoundary.rest - cell.bottom.rest, below))
+    };
+  }
+
+  getRestExtent(cell, horizontal) {
+    let extent = horizontal ? cell.restWidth : cell.restHeight;
+    for (const { diagonal: diag, keepSide } of cell.diagonalClips) {
+      if ((diag.orientation === 'vertical') !== horizontal) continue;
+      const outward = keepSide === 'positive' ? 1 : -1;
+      const opposite = horizontal ? (outward > 0 ? cell.left : cell.right) : (outward > 0 ? cell.top : cell.bottom);
+      for (const across of diag.getRestAcross()) extent = Math.min(extent, (across - opposite.rest) * outward);
+    }
+    return extent;
+  }
+
+  getTarget(axis, rest) {
+    return this.detail ? this.detail[axis](rest) : rest;
+  }
+
+  // Skip the animation into or out of the detail layout (reduced motion)
+  jumpToTargets() {
+    for (const [, edge] of this.edges) {
+      edge.pos = this.getTarget(edge.isHorizontal ? 'y' : 'x', edge.rest);
+      edge.velocity = 0;
+    }
+    for (const [, diag] of this.diagonals) {
+      const across = diag.orientation === 'vertical' ? 'x' : 'y';
+      for (const key of DIAGONAL_STATE) {
+        if (!(key in diag)) continue;
+        diag[key] = this.getTarget(key[0] === 'c' ? across : key[0], diag[\`rest\${key.toUpperCase()}\`]);
+        diag.velocity[key] = 0;
+      }
+    }
+  }
+
   applyHoverForce(cell, scale) {
     if (!cell) return;
     this.hoveredCell = cell;
@@ -1121,6 +4373,11 @@ class PhysicsEngine {
       diag.y1 += (cy + (diag.restY1 - cy) * scale2 - diag.y1) * this.scaleSpeed;
       diag.x2 += (cx + (diag.restX2 - cx) * scale2 - diag.x2) * this.scaleSpeed;
       diag.y2 += (cy + (diag.restY2 - cy) * scale2 - diag.y2) * this.scaleSpeed;
+      if (diag instanceof CurvedEdge) {
+        const centre = diag.orientation === 'vertical' ? cx : cy;
+        diag.c1 += (centre + (diag.restC1 - centre) * scale2 - diag.c1) * this.scaleSpeed;
+        diag.c2 += (centre + (diag.restC2 - centre) * scale2 - diag.c2) * this.scaleSpeed;
+      }
     }
   }
 
@@ -1150,7 +4407,33 @@ class PhysicsEngine {
         if (!this.hoveredEdges.has(cell.top) && dirY <= 0) cell.top.force -= force;
         if (!this.hoveredEdges.has(cell.bottom) && dirY >= 0) cell.bottom.force += force;
       }
+      for (const clip of cell.diagonalClips) this.applyDiagonalDeficit(cell, clip, dirX, dirY);
+    }
+  }
+
+  applyDiagonalDeficit(cell, clip, dirX, dirY) {
+    const diag = clip.diagonal;
+    if (this.hoveredCell.diagonalClips.some(k => k.diagonal === diag)) return;
+    const vertical = diag.orientation === 'vertical';
+    const outward = clip.keepSide === 'positive' ? 1 : -1;
+    if ((vertical ? dirX : dirY) * outward < 0) return;
+    const opposite = vertical ? (outward > 0 ? cell.left : cell.right) : (outward > 0 ? cell.top : cell.bottom);
+    const keys = vertical ? ['x1', 'x2'] : ['y1', 'y2'];
+    if (diag instanceof CurvedEdge) keys.push('c1', 'c2');
+    for (const key of keys) {
+      const size = (diag[key] - opposite.pos) * outward;
+      const restSize = (diag[\`rest\${key.toUpperCase()}\`] - opposite.rest) * outward;
+      const deficit = restSize * this.minSizeRatio - size;
+      if (deficit > 0) diag.force[key] += deficit * this.incompressibility * 1.5 * outward;
+    }
+  }
+
+  getDiagonalAnchors() {
+    const anchors = new Map();
+    for (const cell of this.cells) {
+      for (const clip of cell.diagonalClips) anchors.set(clip.diagonal, cell[cell.getClipSide(clip)]);
     }
+    return anchors;
   }
 
   integrateForces(topBoundary, bottomBoundary, leftBoundary, rightBoundary) {
@@ -1159,7 +4442,8 @@ class PhysicsEngine {
     for (const [, edge] of this.edges) {
       if (this.hoveredEdges.has(edge)) { edge.force = 0; continue; }
       const springMult = edge.isBoundary ? 3 : 1;
-      const springForce = (edge.rest - edge.pos) * this.springStrength * springMult;
+      const target = this.getTarget(edge.isHorizontal ? 'y' : 'x', edge.rest);
+      const springForce = (target - edge.pos) * this.springStrength * springMult;
       edge.velocity += (edge.force + springForce) * this.rippleSpeed;
       edge.velocity *= effectiveDamping;
       edge.pos += edge.velocity;
@@ -1175,15 +4459,81 @@ class PhysicsEngine {
       edge.force = 0;
     }
 
+    const anchors = this.getDiagonalAnchors();
+    for (const [, diag] of this.diagonals) {
+      const across = diag.orientation === 'vertical' ? 'x' : 'y';
+      const anchor = anchors.get(diag);
+      const shift = anchor ? anchor.pos - this.getTarget(across, anchor.rest) : 0;
+      for (const key of DIAGONAL_STATE) {
+        if (!(key in diag)) continue;
+        const axis = key[0] === 'c' ? across : key[0];
+        const target = this.getTarget(axis, diag[\`rest\${key.toUpperCase()}\`]) + (axis === across ? shift : 0);
+        diag.velocity[key] += (diag.force[key] + (target - diag[key]) * this.springStrength) * this.rippleSpeed;
+        diag.velocity[key] *= effectiveDamping;
+        diag[key] += diag.velocity[key];
+        diag.force[key] = 0;
+      }
+    }
+  }
+
+  enforceConstraints() {
+    for (let pass = 0; pass < CONSTRAINT_PASSES; pass++) {
+      const pinned = edge => edge.isBoundary || (pass < CONSTRAINT_PASSES / 2 && this.hoveredEdges.has(edge));
+      for (const cell of this.cells) {
+        for (const [lo, hi] of [[cell.left, cell.right], [cell.top, cell.bottom]]) {
+          const deficit = Math.min(this.hardMinSize, hi.rest - lo.rest) - (hi.pos - lo.pos);
+          if (deficit <= 1e-6) continue;
+          let moveLo = !pinned(lo);
+          let moveHi = !pinned(hi);
+          if (!moveLo && !moveHi) {
+            moveLo = !lo.isBoundary;
+            moveHi = !hi.isBoundary;
+          }
+          const share = moveLo && moveHi ? 0.5 : 1;
+          if (moveLo) { lo.pos -= deficit * share; lo.velocity = Math.min(lo.velocity, 0); }
+          if (moveHi) { hi.pos += deficit * share; hi.velocity = Math.max(hi.velocity, 0); }
+        }
+        for (const { diagonal: diag, keepSide } of cell.diagonalClips) {
+          const vertical = diag.orientation === 'vertical';
+          const outward = keepSide === 'positive' ? 1 : -1;
+          const opposite = vertical ? (outward > 0 ? cell.left : cell.right) : (outward > 0 ? cell.top : cell.bottom);
+          for (const key of DIAGONAL_STATE) {
+            if (!(key in diag) || (key[0] !== (vertical ? 'x' : 'y') && key[0] !== 'c')) continue;
+            const restSize = (diag[\`rest\${key.toUpperCase()}\`] - opposite.rest) * outward;
+            const deficit = Math.min(this.hardMinSize, restSize) - (diag[key] - opposite.pos) * outward;
+            if (deficit <= 1e-6) continue;
+            diag[key] += deficit * outward;
+            diag.velocity[key] = outward > 0 ? Math.max(diag.velocity[key], 0) : Math.min(diag.velocity[key], 0);
+          }
+        }
+      }
+    }
+  }
+
+  snapshot() {
+    for (const [, edge] of this.edges) edge.previous = edge.pos;
+    for (const [, diag] of this.diagonals) {
+      diag.previous = DIAGONAL_STATE.filter(key => key in diag).map(key => diag[key]);
+    }
+  }
+
+  interpolate(alpha) {
+    const lerp = (from, to) => (from == null ? to : from + (to - from) * alpha);
+    for (const [, edge] of this.edges) {
+      edge.stepped = edge.pos;
+      edge.pos = lerp(edge.previous, edge.pos);
+    }
+    for (const [, diag] of this.diagonals) {
+      const keys = DIAGONAL_STATE.filter(key => key in diag);
+      diag.stepped = keys.map(key => diag[key]);
+      keys.forEach((key, i) => { diag[key] = lerp(diag.previous && diag.previous[i], diag[key]); });
+    }
+  }
+
+  restore() {
+    for (const [, edge] of this.edges) edge.pos = edge.stepped;
     for (const [, diag] of this.diagonals) {
-      diag.velocity.x1 += (diag.restX1 - diag.x1) * this.springStrength * this.rippleSpeed;
-      diag.velocity.y1 += (diag.restY1 - diag.y1) * this.springStrength * this.rippleSpeed;
-      diag.velocity.x2 += (diag.restX2 - diag.x2) * this.springStrength * this.rippleSpeed;
-      diag.velocity.y2 += (diag.restY2 - diag.y2) * this.springStrength * this.rippleSpeed;
-      diag.velocity.x1 *= effectiveDamping; diag.velocity.y1 *= effectiveDamping;
-      diag.velocity.x2 *= effectiveDamping; diag.velocity.y2 *= effectiveDamping;
-      diag.x1 += diag.velocity.x1; diag.y1 += diag.velocity.y1;
-      diag.x2 += diag.velocity.x2; diag.y2 += diag.velocity.y2;
+      DIAGONAL_STATE.filter(key => key in diag).forEach((key, i) => { diag[key] = diag.stepped[i]; });
     }
   }
 
@@ -1204,15 +4554,20 @@ class BentoGrid {
     this.hoverScale = SETTINGS.hoverScale;
     this.imageZoom = SETTINGS.imageZoom;
     this.imageZoomSpeed = SETTINGS.imageZoomSpeed;
+    this.detailMode = SETTINGS.detailMode;
 
     this.hoveredCell = null;
+    this.focusedCell = null;
+    this.detailCell = null;
     this.canvasOffsetX = 0;
     this.canvasOffsetY = 0;
     this.imageZoomState = new Map();
+    this.frameTime = PHYSICS_STEP;
 
     this.loadGrid();
     this.updateDimensions();
     this.setupEventListeners();
+    this.createCellLayer();
     this.loadImages();
     this.startAnimation();
   }
@@ -1239,7 +4594,11 @@ class BentoGrid {
     // Reconstruct diagonals
     this.diagonals = new Map();
     for (const [id, d] of Object.entries(data.diagonals)) {
-      this.diagonals.set(id, new DiagonalEdge(d.id, d.restX1, d.restY1, d.restX2, d.restY2));
+      const diag = d.controls
+        ? new CurvedEdge(d.id, d.restX1, d.restY1, d.restX2, d.restY2, d.controls[0], d.controls[1], d.orientation)
+        : new DiagonalEdge(d.id, d.restX1, d.restY1, d.restX2, d.restY2, d.orientation);
+      if (d.endEdgeIds) diag.endEdges = d.endEdgeIds.map(edgeId => this.edges.get(edgeId));
+      this.diagonals.set(id, diag);
     }
 
     // Reconstruct cells
@@ -1247,6 +4606,8 @@ class BentoGrid {
       const cell = new Cell(c.id, this.edges.get(c.topId), this.edges.get(c.bottomId),
                             this.edges.get(c.leftId), this.edges.get(c.rightId));
       cell.color = c.color;
+      cell.content = null;
+      cell.focus = null;
       cell.diagonalClips = c.diagonalClips.map(clip => ({
         diagonal: this.diagonals.get(clip.diagonalId),
         keepSide: clip.keepSide
@@ -1254,6 +4615,15 @@ class BentoGrid {
       return cell;
     });
 
+    // Colors, focal points and text come from IMAGE_CONFIG so they can be edited there
+    for (const config of IMAGE_CONFIG) {
+      const cell = this.cells[config.cellId];
+      if (!cell) continue;
+      if (config.color) cell.color = config.color;
+      if (config.focus) cell.focus = config.focus;
+      if (config.content) cell.content = { ...DEFAULT_CONTENT, ...config.content };
+    }
+
     this.physics = new PhysicsEngine(this.edges, this.diagonals, this.cells);
   }
 
@@ -1284,57 +4654,245 @@ class BentoGrid {
   setupEventListeners() {
     window.addEventListener('resize', () => this.updateDimensions());
 
-    this.canvas.addEventListener('mousemove', (e) => {
-      const rect = this.canvas.getBoundingClientRect();
-      const canvasX = e.clientX - rect.left - this.canvasOffsetX;
-      const canvasY = e.clientY - rect.top - this.canvasOffsetY;
-      // Transform to grid coordinates
-      const mx = (canvasX - this.offsetX) / this.scale;
-      const my = (canvasY - this.offsetY) / this.scale;
+    // Reduced motion keeps the layout still: no expansion or image zoom,
+    // the hovered or focused cell is outlined instead
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.reducedMotion = motionQuery.matches;
+    motionQuery.addEventListener('change', (e) => { this.reducedMotion = e.matches; });
+
+    // Mice and pens hover; touch taps to expand, taps again to follow the
+    // link and taps elsewhere to collapse. The page can still be scrolled
+    // and zoomed over the grid; a touch that turns into a scroll is no tap.
+    this.canvas.style.touchAction = 'manipulation';
+    this.tap = null;
+    this.lastPointerType = 'mouse';
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (e.pointerType === 'touch') return;
+      this.hoveredCell = this.cellAt(e);
+    });
 
-      this.hoveredCell = null;
-      for (const cell of this.cells) {
-        if (cell.containsPoint(mx, my, this.gap)) { this.hoveredCell = cell; break; }
-      }
+    this.canvas.addEventListener('pointerleave', (e) => {
+      if (e.pointerType !== 'touch') this.hoveredCell = null;
+    });
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      this.lastPointerType = e.pointerType;
+      if (e.pointerType === 'touch') this.tap = { id: e.pointerId, x: e.clientX, y: e.clientY };
     });
 
-    this.canvas.addEventListener('mouseleave', () => { this.hoveredCell = null; });
+    window.addEventListener('pointermove', (e) => {
+      if (this.tap && this.tap.id === e.pointerId &&
+          Math.hypot(e.clientX - this.tap.x, e.clientY - this.tap.y) > TAP_SLOP) this.tap = null;
+    });
+    window.addEventListener('pointercancel', () => { this.tap = null; });
+    window.addEventListener('pointerup', (e) => {
+      if (!this.tap || this.tap.id !== e.pointerId) return;
+      this.tap = null;
+      const cell = this.cellAt(e);
+      if (cell && cell === (this.detailCell || this.hoveredCell)) {
+        if (this.detailMode && !this.detailCell) this.setDetailCell(cell);
+        else this.openLink(cell);
+        return;
+      }
+      this.setDetailCell(null);
+      this.hoveredCell = cell;
+    });
+    window.addEventListener('pointerdown', (e) => {
+      if (e.target === this.canvas) return;
+      if (e.pointerType === 'touch') this.hoveredCell = null;
+      this.setDetailCell(null);
+    });
+    window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.setDetailCell(null);
+    });
+    window.addEventListener('scroll', () => {
+      if (this.lastPointerType === 'touch') this.hoveredCell = null;
+    }, { passive: true });
 
+    // Touch taps are handled on pointerup; the click that follows is ignored.
+    // In detail mode a click opens the cell's detail view, a click on that
+    // follows its link and a click anywhere else closes it.
     this.canvas.addEventListener('click', (e) => {
-      if (this.hoveredCell) {
-        const config = IMAGE_CONFIG.find(c => c.cellId === this.hoveredCell.id);
-        if (config && config.link && config.link !== '#') {
-          window.open(config.link, '_blank');
-        }
+      if (this.lastPointerType === 'touch') return;
+      const cell = this.cellAt(e);
+      if (!this.detailMode || (cell && cell === this.detailCell)) {
+        if (cell) this.openLink(cell);
+        return;
+      }
+      this.setDetailCell(this.detailCell ? null : cell);
+    });
+  }
+
+  setDetailCell(cell) {
+    if (cell === this.detailCell) return;
+    this.detailCell = cell;
+    this.physics.setDetail(cell, this.topBoundary, this.bottomBoundary, this.leftBoundary, this.rightBoundary);
+    if (this.reducedMotion) this.physics.jumpToTargets();
+  }
+
+  cellAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const canvasX = e.clientX - rect.left - this.canvasOffsetX;
+    const canvasY = e.clientY - rect.top - this.canvasOffsetY;
+    const mx = (canvasX - this.offsetX) / this.scale;
+    const my = (canvasY - this.offsetY) / this.scale;
+    return this.cells.find(cell => cell.containsPoint(mx, my, this.gap)) || null;
+  }
+
+  openLink(cell) {
+    const config = IMAGE_CONFIG.find(c => c.cellId === cell.id);
+    if (config && config.link && config.link !== '#') {
+      window.open(config.link, config.target || '_blank');
+    }
+  }
+
+  // ----------------------------------------
+  // Accessible layer
+  // ----------------------------------------
+
+  // The canvas is invisible to keyboards and screen readers, so each cell
+  // gets a transparent element clipped to its polygon. Links become real
+  // anchors (Enter follows them); focus expands the cell like hover does.
+  // Arrow keys move between neighbouring cells with a roving tabindex.
+  createCellLayer() {
+    this.canvas.setAttribute('aria-hidden', 'true');
+    this.layer = document.createElement('div');
+    this.layer.className = 'cell-layer';
+    this.layer.setAttribute('role', 'group');
+    this.layer.setAttribute('aria-label', document.title);
+    this.cellElements = new Map();
+
+    for (const cell of this.cells) {
+      const config = IMAGE_CONFIG.find(c => c.cellId === cell.id);
+      const link = config && config.link !== '#' ? config.link : null;
+      const el = document.createElement(link ? 'a' : 'div');
+      if (link) {
+        el.href = link;
+        el.target = config.target || '_blank';
+        el.rel = 'noopener';
+      } else {
+        el.setAttribute('role', 'img');
       }
+      const text = cell.content ? [cell.content.badge, cell.content.title, cell.content.caption] : [];
+      el.setAttribute('aria-label', [(config && config.alt) || 'Cell ' + (cell.id + 1), ...text].filter(Boolean).join('. '));
+      el.tabIndex = cell === this.cells[0] ? 0 : -1;
+      el.addEventListener('focus', () => this.focusCell(cell));
+      el.addEventListener('blur', () => this.blurCell(cell));
+      this.layer.appendChild(el);
+      this.cellElements.set(cell, el);
+    }
+
+    this.layer.addEventListener('keydown', (e) => {
+      const step = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+      if (!step || !this.focusedCell) return;
+      e.preventDefault();
+      const next = this.findNeighbour(this.focusedCell, step[0], step[1]);
+      if (next) this.cellElements.get(next).focus();
     });
+
+    this.container.appendChild(this.layer);
+  }
+
+  focusCell(cell) {
+    this.focusedCell = cell;
+    for (const [other, el] of this.cellElements) el.tabIndex = other === cell ? 0 : -1;
+    this.hoveredCell = cell;
+  }
+
+  blurCell(cell) {
+    if (this.focusedCell === cell) this.focusedCell = null;
+    if (this.hoveredCell === cell) this.hoveredCell = null;
+  }
+
+  // Nearest cell in a direction, from the rest layout so targets don't
+  // shift while cells expand. Prefers cells that overlap across the
+  // direction of travel, then the closest, then the best lined up.
+  findNeighbour(cell, dx, dy) {
+    const bounds = c => dx
+      ? { near: dx > 0 ? c.restX : c.restX + c.restWidth, far: dx > 0 ? c.restX + c.restWidth : c.restX, lo: c.restY, hi: c.restY + c.restHeight }
+      : { near: dy > 0 ? c.restY : c.restY + c.restHeight, far: dy > 0 ? c.restY + c.restHeight : c.restY, lo: c.restX, hi: c.restX + c.restWidth };
+    const from = bounds(cell);
+    const dir = dx || dy;
+    let best = null;
+    let bestScore = Infinity;
+    for (const other of this.cells) {
+      if (other === cell) continue;
+      const to = bounds(other);
+      const distance = (to.near - from.far) * dir;
+      if (distance < -0.5) continue;
+      const overlap = Math.min(from.hi, to.hi) - Math.max(from.lo, to.lo);
+      const offset = Math.abs((to.lo + to.hi) - (from.lo + from.hi)) / 2;
+      const score = (overlap > 0 ? 0 : 1e6) + Math.max(distance, 0) * 1e3 + offset;
+      if (score < bestScore) {
+        best = other;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Keep a cell's element over its on-screen polygon
+  placeCellElement(cell, vertices, minX, minY, maxX, maxY) {
+    const el = this.cellElements.get(cell);
+    if (!el) return;
+    const s = this.scale;
+    const px = v => v.toFixed(1) + 'px';
+    const polygon = vertices.map(v => px((v.x - minX) * s) + ' ' + px((v.y - minY) * s)).join(', ');
+    const style = 'left: ' + px(this.offsetX + minX * s) + '; top: ' + px(this.offsetY + minY * s) +
+      '; width: ' + px((maxX - minX) * s) + '; height: ' + px((maxY - minY) * s) +
+      '; clip-path: polygon(' + polygon + ')';
+    if (el.layoutStyle === style) return;
+    el.layoutStyle = style;
+    el.style.cssText = style;
   }
 
   loadImages() {
     for (const config of IMAGE_CONFIG) {
       const cell = this.cells[config.cellId];
-      if (cell && config.image) {
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        img.src = config.image;
-        cell.image = img;
-      }
+      const src = config.video || config.image;
+      if (cell && src && !(cell.content && cell.content.textOnly)) cell.image = createMedia(src, !!config.video);
+    }
+
+    // Videos only play while the grid is on screen and the tab is visible
+    this.onScreen = true;
+    if (typeof IntersectionObserver !== 'undefined') {
+      new IntersectionObserver((entries) => {
+        this.onScreen = entries[entries.length - 1].isIntersecting;
+      }).observe(this.container);
     }
+    // Frames stop in a hidden tab, so render() can't pause them there
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.cells.forEach(cell => syncVideo(cell.image, false));
+    });
   }
 
   startAnimation() {
-    const tick = () => {
-      if (this.hoveredCell) {
-        this.physics.applyHoverForce(this.hoveredCell, this.hoverScale);
-      } else {
-        this.physics.clearHover();
+    let last = performance.now();
+    let accumulator = 0;
+    const tick = now => {
+      const elapsed = Math.min(Math.max(now - last, 0), PHYSICS_STEP * MAX_PHYSICS_STEPS);
+      last = now;
+      this.frameTime = elapsed;
+      accumulator += elapsed;
+      while (accumulator >= PHYSICS_STEP) {
+        this.physics.snapshot();
+        if (this.hoveredCell && !this.reducedMotion && !this.detailCell) {
+          this.physics.applyHoverForce(this.hoveredCell, this.hoverScale);
+        } else {
+          this.physics.clearHover();
+        }
+        this.physics.applyIncompressibility(this.topBoundary, this.bottomBoundary, this.leftBoundary, this.rightBoundary);
+        this.physics.integrateForces(this.topBoundary, this.bottomBoundary, this.leftBoundary, this.rightBoundary);
+        this.physics.enforceConstraints();
+        accumulator -= PHYSICS_STEP;
       }
-      this.physics.applyIncompressibility(this.topBoundary, this.bottomBoundary, this.leftBoundary, this.rightBoundary);
-      this.physics.integrateForces(this.topBoundary, this.bottomBoundary, this.leftBoundary, this.rightBoundary);
+      this.physics.interpolate(accumulator / PHYSICS_STEP);
       this.render();
+      this.physics.restore();
       requestAnimationFrame(tick);
     };
-    tick();
+    tick(last);
   }
 
   render() {
@@ -1355,6 +4913,7 @@ class BentoGrid {
       const maxX = Math.max(...vertices.map(v => v.x));
       const maxY = Math.max(...vertices.map(v => v.y));
       if (maxX - minX <= 0 || maxY - minY <= 0) continue;
+      this.placeCellElement(cell, vertices, minX, minY, maxX, maxY);
 
       const isHovered = cell === this.hoveredCell;
       const isOutside = minX < 0 || minY < 0 || maxX > this.baseWidth || maxY > this.baseHeight;
@@ -1383,40 +4942,59 @@ class BentoGrid {
       ctx.closePath();
 
       // Draw image or color
-      if (cell.image && cell.image.complete && cell.image.naturalWidth > 0) {
+      const mediaSize = getMediaSize(cell.image);
+      const showsImage = !!mediaSize;
+      const playing = showsImage && this.onScreen && !document.hidden && (isHovered || cell === this.detailCell);
+      syncVideo(cell.image, playing);
+      if (showsImage) {
         ctx.save();
         ctx.clip();
 
-        const maxCellW = cell.restWidth * this.hoverScale;
-        const maxCellH = cell.restHeight * this.hoverScale;
+        const isDetail = cell === this.detailCell;
+        const maxCellW = isDetail ? Math.max(cell.restWidth * this.hoverScale, maxX - minX) : cell.restWidth * this.hoverScale;
+        const maxCellH = isDetail ? Math.max(cell.restHeight * this.hoverScale, maxY - minY) : cell.restHeight * this.hoverScale;
         const defaultZoom = this.imageZoom;
         const hoverZoom = 1.0;
-        const targetZoom = isHovered ? hoverZoom : defaultZoom;
+        const zoomOut = isDetail || (isHovered && !this.detailCell && !this.reducedMotion);
+        const targetZoom = zoomOut ? hoverZoom : defaultZoom;
 
         if (!this.imageZoomState.has(cell.id)) this.imageZoomState.set(cell.id, defaultZoom);
         let currentZoom = this.imageZoomState.get(cell.id);
-        currentZoom += (targetZoom - currentZoom) * this.imageZoomSpeed;
+        currentZoom += (targetZoom - currentZoom) * (1 - Math.pow(1 - this.imageZoomSpeed, this.frameTime / PHYSICS_STEP));
         this.imageZoomState.set(cell.id, currentZoom);
 
-        const centerX = (minX + maxX) / 2;
-        const centerY = (minY + maxY) / 2;
-        const imgAspect = cell.image.naturalWidth / cell.image.naturalHeight;
+        const imgAspect = mediaSize.width / mediaSize.height;
         const cellAspect = maxCellW / maxCellH;
 
         let drawW, drawH;
         if (imgAspect > cellAspect) { drawH = maxCellH * currentZoom; drawW = drawH * imgAspect; }
         else { drawW = maxCellW * currentZoom; drawH = drawW / imgAspect; }
 
-        ctx.drawImage(cell.image, centerX - drawW / 2, centerY - drawH / 2, drawW, drawH);
+        const focus = cell.focus || { x: 0.5, y: 0.5 };
+        ctx.drawImage(cell.image, placeMedia(minX, maxX, drawW, focus.x), placeMedia(minY, maxY, drawH, focus.y), drawW, drawH);
         ctx.restore();
       } else {
         ctx.fillStyle = isHovered ? '#ef4444' : cell.color;
         ctx.fill();
       }
 
+      if (cell.content) {
+        ctx.save();
+        ctx.clip();
+        drawCellContent(ctx, cell.content, { minX, minY, maxX, maxY }, showsImage);
+        ctx.restore();
+      }
+
       ctx.strokeStyle = 'rgba(255,255,255,0.3)';
       ctx.lineWidth = 1.5;
       ctx.stroke();
+
+      // Focus ring, which also stands in for expansion under reduced motion
+      if (cell === this.focusedCell || (isHovered && this.reducedMotion)) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+      }
     }
 
     ctx.restore();
@@ -1445,9 +5023,9 @@ new BentoGrid('container');
     setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
-  // Export the grid as downloadable HTML file
-  exportHTML() {
-    const html = this.generateHTML();
+  // Export the grid as downloadable HTML file, local files embedded
+  async exportHTML() {
+    const html = await this.embedLocalFiles(this.generateHTML());
     if (!html) return;
 
     // Download as HTML file
@@ -1460,22 +5038,85 @@ new BentoGrid('container');
     URL.revokeObjectURL(url);
   }
 
-  // Populate cells with random Unsplash images
-  populateImages() {
+  // Download the layout as JSON (re-openable with importFile)
+  async exportJSON() {
     if (!this.grid) return;
 
-    for (const cell of this.grid.cells) {
-      // Use rest dimensions for image sizing (add extra for zoom buffer)
-      const w = Math.ceil(cell.restWidth * 1.3);
-      const h = Math.ceil(cell.restHeight * 1.3);
-      const seed = Math.random().toString(36).substring(7);
+    const json = await this.embedLocalFiles(JSON.stringify(this.serializeGrid(), null, 2));
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `bento-grid-${this.seed}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Fill cells from the image provider. Cells whose weighted item has its
+  // own image keep it, as do locked cells and any the provider has nothing
+  // for; text tiles stay text.
+  async populateImages() {
+    if (!this.grid) return;
+    await this.loadImageProvider();
+    const cells = this.grid.cells.filter(cell => !cell.item?.image && !cell.isTextTile && !cell.locked);
+    this.getProviderMedia(cells).forEach((media, i) => {
+      if (media) cells[i].image = createMedia(media.src, media.video);
+    });
+  }
+}
 
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      img.src = `https://picsum.photos/seed/${seed}/${w}/${h}`;
-      cell.image = img;
+// ============================================
+// IMPORT - Read layouts back from exported HTML
+// ============================================
+
+// Parse the JSON literal that follows `marker` in source text, scanning
+// for the matching close bracket so multi-line literals work too
+function extractJsonAfter(text, marker) {
+  const start = text.indexOf(marker);
+  if (start === -1) return null;
+
+  let i = start + marker.length;
+  while (i < text.length && text[i] !== '{' && text[i] !== '[') i++;
+
+  let depth = 0;
+  let inString = false;
+  for (let j = i; j < text.length; j++) {
+    const ch = text[j];
+    if (inString) {
+      if (ch === '\\') j++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return JSON.parse(text.slice(i, j + 1));
     }
   }
+  return null;
+}
+
+// Recover serializeGrid() data from a page produced by generateHTML(),
+// folding hand-edited IMAGE_CONFIG entries back onto their cells
+function parseExportedHTML(html) {
+  const data = extractJsonAfter(html, 'const GRID_DATA =');
+  if (!data) throw new Error('No GRID_DATA found in HTML file');
+
+  const imageConfig = extractJsonAfter(html, 'const IMAGE_CONFIG =') || [];
+  for (const config of imageConfig) {
+    const cell = data.cells[config.cellId];
+    if (!cell) continue;
+    if (config.image) cell.image = config.image;
+    if (config.video) cell.video = config.video;
+    if (config.focus) cell.focus = config.focus;
+    if (config.color) cell.color = config.color;
+    if (config.link && config.link !== '#') cell.link = config.link;
+    if (config.target) cell.linkTarget = config.target;
+    if (config.alt && config.alt !== `Cell ${config.cellId + 1}`) cell.alt = config.alt;
+    if (config.content) cell.content = config.content;
+  }
+  return data;
 }
 
 // ============================================
@@ -1488,32 +5129,133 @@ function updateMetrics() {
   if (el) {
     el.innerHTML = `
       <div><span style="opacity:0.5">Cells:</span> ${bentoGrid.getShapeCount()}</div>
-      <div><span style="opacity:0.5">Diagonals:</span> ${bentoGrid.getDiagonalCount()}</div>
+      <div title="Cells the physics is holding at their minimum size right now"><span style="opacity:0.5">Violations:</span> ${bentoGrid.getViolationCount()}</div>
+      <div><span style="opacity:0.5">Diagonals:</span> ${bentoGrid.getDiagonalCount()}${bentoGrid.getRequestedDiagonalCount() > 0
+        ? ` / ${bentoGrid.getRequestedDiagonalCount()}`
+        : ''}</div>
+      ${bentoGrid.getCurveCount() > 0 || bentoGrid.getRequestedCurveCount() > 0
+        ? `<div><span style="opacity:0.5">Curves:</span> ${bentoGrid.getCurveCount()} / ${bentoGrid.getRequestedCurveCount()}</div>`
+        : ''}
+      ${bentoGrid.field
+        ? `<div><span style="opacity:0.5">Active:</span> ${bentoGrid.field.view.cells.length}</div>`
+        : ''}
+      ${bentoGrid.layoutStrategy === 'weighted' && bentoGrid.items.length > 0
+        ? `<div><span style="opacity:0.5">Worst aspect:</span> ${bentoGrid.getWorstAspect().toFixed(1)} / ${bentoGrid.maxAspect}</div>`
+        : ''}
     `;
   }
 }
 
+function renderHistoryStrip(onSelect) {
+  const strip = document.getElementById('history');
+  if (!strip || !bentoGrid) return;
+
+  const { entries, index } = bentoGrid.history;
+  strip.replaceChildren(...entries.map((entry, i) => {
+    const thumb = document.createElement('img');
+    thumb.src = entry.thumbnail;
+    thumb.title = `Step ${i + 1} (seed ${entry.grid.seed})`;
+    if (i === index) thumb.classList.add('active');
+    thumb.addEventListener('click', () => onSelect(i));
+    return thumb;
+  }));
+}
+
+function updateSeedDisplay() {
+  const el = document.getElementById('seed');
+  if (el && bentoGrid) el.value = bentoGrid.seed;
+}
+
 let bentoGrid;
 
 function init() {
   bentoGrid = new BentoGrid('container');
 
+  // `key` names the getSettings() field the slider mirrors
   const controls = {
-    subdivisions: { el: 'subdivisions', handler: v => { bentoGrid.setSubdivisionDepth(+v); updateMetrics(); }, format: v => v },
-    gap: { el: 'gap', handler: v => bentoGrid.setGap(+v), format: v => v },
-    hoverScale: { el: 'hoverScale', handler: v => bentoGrid.setHoverScale(+v), format: v => (+v).toFixed(1) + 'x' },
-    incompress: { el: 'incompress', handler: v => bentoGrid.setIncompressibility(+v), format: v => (+v).toFixed(2) },
-    minSize: { el: 'minSize', handler: v => bentoGrid.setMinSizeRatio(+v), format: v => Math.round(+v * 100) + '%' },
-    bleed: { el: 'bleed', handler: v => bentoGrid.setBleedZone(+v), format: v => v + 'px' },
-    scaleSpeed: { el: 'scaleSpeed', handler: v => bentoGrid.setScaleSpeed(+v), format: v => (+v).toFixed(2) },
-    ripple: { el: 'ripple', handler: v => bentoGrid.setRippleSpeed(+v), format: v => (+v).toFixed(2) },
-    overshoot: { el: 'overshoot', handler: v => bentoGrid.setOvershoot(+v), format: v => (+v).toFixed(2) },
-    fillRatio: { el: 'fillRatio', handler: v => bentoGrid.setFillRatio(+v), format: v => (+v).toFixed(1) },
-    diagonals: { el: 'diagonals', handler: v => { bentoGrid.setDiagonalCount(+v); bentoGrid.regenerate(); updateMetrics(); }, format: v => v },
-    imageZoomSpeed: { el: 'imageZoomSpeed', handler: v => bentoGrid.setImageZoomSpeed(+v), format: v => (+v).toFixed(2) },
-    imageZoom: { el: 'imageZoom', handler: v => bentoGrid.setImageZoom(+v), format: v => (+v).toFixed(1) + 'x' }
+    subdivisions: { el: 'subdivisions', key: 'subdivisionDepth', handler: v => { bentoGrid.setSubdivisionDepth(+v); updateMetrics(); }, format: v => v },
+    gap: { el: 'gap', key: 'gap', handler: v => bentoGrid.setGap(+v), format: v => v },
+    hoverScale: { el: 'hoverScale', key: 'hoverScale', handler: v => bentoGrid.setHoverScale(+v), format: v => (+v).toFixed(1) + 'x' },
+    incompress: { el: 'incompress', key: 'incompressibility', handler: v => bentoGrid.setIncompressibility(+v), format: v => (+v).toFixed(2) },
+    minSize: { el: 'minSize', key: 'minSizeRatio', handler: v => bentoGrid.setMinSizeRatio(+v), format: v => Math.round(+v * 100) + '%' },
+    bleed: { el: 'bleed', key: 'bleedZone', handler: v => bentoGrid.setBleedZone(+v), format: v => v + 'px' },
+    scaleSpeed: { el: 'scaleSpeed', key: 'scaleSpeed', handler: v => bentoGrid.setScaleSpeed(+v), format: v => (+v).toFixed(2) },
+    ripple: { el: 'ripple', key: 'rippleSpeed', handler: v => bentoGrid.setRippleSpeed(+v), format: v => (+v).toFixed(2) },
+    overshoot: { el: 'overshoot', key: 'overshoot', handler: v => bentoGrid.setOvershoot(+v), format: v => (+v).toFixed(2) },
+    fillRatio: { el: 'fillRatio', key: 'fillRatio', handler: v => bentoGrid.setFillRatio(+v), format: v => (+v).toFixed(1) },
+    hardMinSize: { el: 'hardMinSize', key: 'hardMinSize', handler: v => bentoGrid.setHardMinSize(+v), format: v => v + 'px' },
+    diagonals: { el: 'diagonals', key: 'diagonalCount', handler: v => { bentoGrid.setDiagonalCount(+v); bentoGrid.regenerate(); updateMetrics(); }, format: v => v },
+    curves: { el: 'curves', key: 'curveCount', handler: v => { bentoGrid.setCurveCount(+v); bentoGrid.regenerate(); updateMetrics(); }, format: v => v },
+    imageZoomSpeed: { el: 'imageZoomSpeed', key: 'imageZoomSpeed', handler: v => bentoGrid.setImageZoomSpeed(+v), format: v => (+v).toFixed(2) },
+    imageZoom: { el: 'imageZoom', key: 'imageZoom', handler: v => bentoGrid.setImageZoom(+v), format: v => (+v).toFixed(1) + 'x' }
+  };
+
+  // Number inputs for the 'columns' strategy, keyed by columnGrid field
+  const columnInputs = {
+    columns: 'gridColumns', rows: 'gridRows',
+    minColSpan: 'minColSpan', maxColSpan: 'maxColSpan',
+    minRowSpan: 'minRowSpan', maxRowSpan: 'maxRowSpan'
+  };
+  const strategySelect = document.getElementById('strategy');
+  const columnOptions = document.getElementById('columnOptions');
+  const itemOptions = document.getElementById('itemOptions');
+  const itemsInput = document.getElementById('items');
+  const maxAspectInput = document.getElementById('maxAspect');
+  for (const [name, strategy] of Object.entries(LAYOUT_STRATEGIES)) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = strategy.label;
+    strategySelect.appendChild(option);
+  }
+
+  const syncLayoutControls = () => {
+    strategySelect.value = bentoGrid.layoutStrategy;
+    columnOptions.hidden = bentoGrid.layoutStrategy !== 'columns';
+    itemOptions.hidden = bentoGrid.layoutStrategy !== 'weighted';
+    for (const [key, id] of Object.entries(columnInputs)) {
+      document.getElementById(id).value = bentoGrid.columnGrid[key];
+    }
+    itemsInput.value = formatItems(bentoGrid.items);
+    maxAspectInput.value = bentoGrid.maxAspect;
   };
 
+  const syncControls = () => {
+    const settings = bentoGrid.getSettings();
+    for (const ctrl of Object.values(controls)) {
+      const el = document.getElementById(ctrl.el);
+      const display = document.getElementById(ctrl.el + 'Value');
+      if (el) el.value = settings[ctrl.key];
+      if (display) display.textContent = ctrl.format(settings[ctrl.key]);
+    }
+    syncLayoutControls();
+    syncProviderControls();
+    document.getElementById('detail').classList.toggle('active', bentoGrid.detailMode);
+  };
+
+  // Snapshots are taken when an interaction settles (slider release,
+  // button click), not on every input event
+  const recordHistory = () => {
+    if (bentoGrid.commitHistory()) renderHistoryStrip(selectHistory);
+  };
+
+  const refreshFromHistory = () => {
+    syncControls();
+    updateSeedDisplay();
+    updateMetrics();
+    renderHistoryStrip(selectHistory);
+  };
+
+  const selectHistory = i => {
+    if (bentoGrid.goToHistory(i)) refreshFromHistory();
+  };
+
+  bentoGrid.onLayoutChange = () => {
+    syncProviderControls();
+    updateMetrics();
+    recordHistory();
+  };
+  bentoGrid.onMetricsChange = updateMetrics;
+
   for (const [name, ctrl] of Object.entries(controls)) {
     const el = document.getElementById(ctrl.el);
     const display = document.getElementById(ctrl.el + 'Value');
@@ -1522,27 +5264,306 @@ function init() {
         ctrl.handler(e.target.value);
         if (display) display.textContent = ctrl.format(e.target.value);
       });
+      el.addEventListener('change', recordHistory);
     }
   }
 
   document.getElementById('regen').addEventListener('click', () => {
-    bentoGrid.regenerate();
+    bentoGrid.reseed();
+    updateSeedDisplay();
+    updateMetrics();
+    recordHistory();
+  });
+
+  document.getElementById('seed').addEventListener('change', e => {
+    bentoGrid.setSeed(parseSeed(e.target.value));
+    updateSeedDisplay();
     updateMetrics();
+    recordHistory();
   });
 
-  document.getElementById('populate').addEventListener('click', () => {
-    bentoGrid.populateImages();
+  strategySelect.addEventListener('change', () => {
+    try {
+      bentoGrid.setLayoutStrategy(strategySelect.value);
+    } catch (err) {
+      alert(`Layout failed: ${err.message}`);
+    }
+    syncLayoutControls();
+    updateMetrics();
+    recordHistory();
+  });
+
+  for (const [key, id] of Object.entries(columnInputs)) {
+    document.getElementById(id).addEventListener('change', e => {
+      bentoGrid.setColumnGrid({ [key]: +e.target.value });
+      syncLayoutControls();
+      updateMetrics();
+      recordHistory();
+    });
+  }
+
+  itemsInput.addEventListener('change', () => {
+    try {
+      bentoGrid.setItems(parseItems(itemsInput.value));
+    } catch (err) {
+      alert(`Items rejected: ${err.message}`);
+      return;
+    }
+    updateMetrics();
+    recordHistory();
+  });
+
+  maxAspectInput.addEventListener('change', e => {
+    try {
+      bentoGrid.setMaxAspect(Math.max(1, +e.target.value || 1));
+    } catch (err) {
+      alert(`Aspect bound rejected: ${err.message}`);
+    }
+    syncLayoutControls();
+    updateMetrics();
+    recordHistory();
+  });
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep
+  // their native undo
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (e.target.matches?.('input[type="text"], textarea')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      if (bentoGrid.undo()) refreshFromHistory();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+      e.preventDefault();
+      if (bentoGrid.redo()) refreshFromHistory();
+    }
+  });
+
+  const editTools = document.getElementById('editTools');
+  const splitRatio = document.getElementById('splitRatio');
+
+  document.getElementById('edit').addEventListener('click', e => {
+    bentoGrid.setEditMode(!bentoGrid.editMode);
+    e.currentTarget.classList.toggle('active', bentoGrid.editMode);
+    editTools.hidden = !bentoGrid.editMode;
+  });
+
+  document.getElementById('detail').addEventListener('click', e => {
+    bentoGrid.setDetailMode(!bentoGrid.detailMode);
+    e.currentTarget.classList.toggle('active', bentoGrid.detailMode);
+    recordHistory();
+  });
+
+  // Editing, history and export only apply to the bounded grid
+  const gridOnlyButtons = ['edit', 'detail', 'local', 'folder', 'populate', 'collage', 'preview', 'export', 'saveJson', 'import']
+    .map(id => document.getElementById(id));
+  document.getElementById('field').addEventListener('click', e => {
+    bentoGrid.setFieldMode(!bentoGrid.field);
+    e.currentTarget.classList.toggle('active', !!bentoGrid.field);
+    document.getElementById('edit').classList.remove('active');
+    editTools.hidden = true;
+    for (const button of gridOnlyButtons) button.disabled = !!bentoGrid.field;
+    updateMetrics();
+  });
+
+  // Content editor for a single selected cell; `key` is the content field
+  const contentEditor = document.getElementById('contentEditor');
+  const contentFields = {
+    badge: 'contentBadge', icon: 'contentIcon', title: 'contentTitle', caption: 'contentCaption',
+    align: 'contentAlign', valign: 'contentValign', font: 'contentFont', overlay: 'contentOverlay',
+    textOnly: 'contentTextOnly'
+  };
+  const syncContentEditor = cells => {
+    contentEditor.hidden = cells.length !== 1;
+    if (cells.length !== 1) return;
+    const content = { ...DEFAULT_CONTENT, ...cells[0].content };
+    for (const [key, id] of Object.entries(contentFields)) {
+      const el = document.getElementById(id);
+      if (el.type === 'checkbox') el.checked = content[key];
+      else el.value = content[key];
+    }
+  };
+  for (const [key, id] of Object.entries(contentFields)) {
+    const el = document.getElementById(id);
+    el.addEventListener('input', () => {
+      const [cell] = bentoGrid.selectedCells;
+      if (cell) bentoGrid.setCellContent(cell, { [key]: el.type === 'checkbox' ? el.checked : el.value });
+    });
+    el.addEventListener('change', recordHistory);
+  }
+
+  // Inspector for a single selected cell; `key` is the setCellProperties field
+  const inspector = document.getElementById('inspector');
+  const inspectorFields = { color: 'cellColor', link: 'cellLink', linkTarget: 'cellTarget', alt: 'cellAlt' };
+  const imageField = document.getElementById('cellImage');
+  const syncInspector = cells => {
+    inspector.hidden = cells.length !== 1;
+    if (cells.length !== 1) return;
+    const [cell] = cells;
+    for (const [key, id] of Object.entries(inspectorFields)) document.getElementById(id).value = cell[key] || '';
+    // Local and embedded files would only show an opaque URL
+    const src = cell.image ? cell.image.src : '';
+    const file = bentoGrid.localFiles.get(src);
+    const embedded = src.startsWith('data:');
+    imageField.value = file || embedded ? '' : src;
+    imageField.placeholder = file ? file.name : embedded ? 'Embedded file' : 'Image or video URL';
+    document.getElementById('cellFocus').disabled = !cell.focus;
+    document.getElementById('cellLocked').checked = cell.locked;
+  };
+  for (const [key, id] of Object.entries(inspectorFields)) {
+    const el = document.getElementById(id);
+    el.addEventListener('input', () => {
+      const [cell] = bentoGrid.selectedCells;
+      if (cell) bentoGrid.setCellProperties(cell, { [key]: el.value });
+    });
+    el.addEventListener('change', recordHistory);
+  }
+  imageField.addEventListener('change', () => {
+    const [cell] = bentoGrid.selectedCells;
+    if (!cell) return;
+    bentoGrid.setCellProperties(cell, { image: imageField.value.trim() });
+    syncInspector([cell]);
+    recordHistory();
+  });
+  document.getElementById('cellFocus').addEventListener('click', () => {
+    const [cell] = bentoGrid.selectedCells;
+    if (!cell) return;
+    bentoGrid.setCellProperties(cell, { focus: null });
+    syncInspector([cell]);
+    recordHistory();
+  });
+  document.getElementById('cellLocked').addEventListener('change', () => bentoGrid.toggleLockSelected());
+
+  bentoGrid.onSelectionChange = cells => {
+    syncInspector(cells);
+    syncContentEditor(cells);
+    const lockButton = document.getElementById('lock');
+    document.getElementById('splitH').disabled = !bentoGrid.canSplitSelected(true);
+    document.getElementById('splitV').disabled = !bentoGrid.canSplitSelected(false);
+    document.getElementById('merge').disabled = !bentoGrid.canMergeSelected();
+    lockButton.disabled = cells.length === 0;
+    document.getElementById('media').disabled = cells.length === 0;
+    lockButton.textContent = cells.length > 0 && cells.every(cell => cell.locked) ? 'Unlock' : 'Lock';
+  };
+  bentoGrid.onSelectionChange(bentoGrid.selectedCells);
+
+  splitRatio.addEventListener('input', () => {
+    document.getElementById('splitRatioValue').textContent = Math.round(+splitRatio.value * 100) + '%';
+  });
+  document.getElementById('splitH').addEventListener('click', () => bentoGrid.splitSelected(true, +splitRatio.value));
+  document.getElementById('splitV').addEventListener('click', () => bentoGrid.splitSelected(false, +splitRatio.value));
+  document.getElementById('merge').addEventListener('click', () => bentoGrid.mergeSelected());
+  document.getElementById('lock').addEventListener('click', () => bentoGrid.toggleLockSelected());
+
+  const mediaInput = document.getElementById('mediaFile');
+  document.getElementById('media').addEventListener('click', () => mediaInput.click());
+  mediaInput.addEventListener('change', () => {
+    bentoGrid.assignMediaFiles(bentoGrid.selectedCells, [...mediaInput.files]);
+    mediaInput.value = '';
+    recordHistory();
+  });
+
+  // Loose files or a whole folder (its non-media files are skipped)
+  const localInput = document.getElementById('localFiles');
+  const folderInput = document.getElementById('localFolder');
+  document.getElementById('local').addEventListener('click', () => localInput.click());
+  document.getElementById('folder').addEventListener('click', () => folderInput.click());
+  for (const input of [localInput, folderInput]) {
+    input.addEventListener('change', async () => {
+      const files = [...input.files].filter(isMediaFile);
+      input.value = '';
+      await bentoGrid.spreadMediaFiles(files);
+      syncProviderControls();
+      recordHistory();
+    });
+  }
+
+  const populate = async () => {
+    try {
+      await bentoGrid.populateImages();
+    } catch (err) {
+      alert(`Populate failed: ${err.message}`);
+      return;
+    }
+    recordHistory();
+  };
+  document.getElementById('populate').addEventListener('click', populate);
+
+  // Image provider picker; providers that take text show it below
+  const providerSelect = document.getElementById('provider');
+  const providerOptions = document.getElementById('providerOptions');
+  const providerSource = document.getElementById('providerSource');
+  for (const [name, provider] of Object.entries(IMAGE_PROVIDERS)) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = provider.label;
+    providerSelect.appendChild(option);
+  }
+  const syncProviderControls = () => {
+    const provider = bentoGrid.getImageProvider();
+    providerSelect.value = bentoGrid.imageProvider;
+    providerOptions.hidden = !provider.input;
+    providerSource.placeholder = provider.input || '';
+    providerSource.value = bentoGrid.imageSources[bentoGrid.imageProvider] || '';
+  };
+  providerSelect.addEventListener('change', () => {
+    bentoGrid.setImageProvider(providerSelect.value);
+    syncProviderControls();
+    // A local folder has to be picked first, text sources typed in
+    if (providerSelect.value === 'local' && bentoGrid.localFiles.size === 0) folderInput.click();
+    else if (!bentoGrid.getImageProvider().input || providerSource.value.trim()) populate();
+  });
+  providerSource.addEventListener('change', () => {
+    bentoGrid.setImageSource(providerSource.value);
+    populate();
   });
 
+  document.getElementById('collage').addEventListener('click', () => bentoGrid.fitCollage());
+
   document.getElementById('preview').addEventListener('click', () => {
     bentoGrid.previewHTML();
   });
 
-  document.getElementById('export').addEventListener('click', () => {
-    bentoGrid.exportHTML();
+  document.getElementById('export').addEventListener('click', async () => {
+    try {
+      await bentoGrid.exportHTML();
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+    }
+  });
+
+  document.getElementById('saveJson').addEventListener('click', async () => {
+    try {
+      await bentoGrid.exportJSON();
+    } catch (err) {
+      alert(`Save failed: ${err.message}`);
+    }
+  });
+
+  const importInput = document.getElementById('importFile');
+  document.getElementById('import').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+
+    try {
+      await bentoGrid.importFile(file);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+      return;
+    }
+    updateSeedDisplay();
+    updateMetrics();
+    recordHistory();
   });
 
+  syncLayoutControls();
+  syncProviderControls();
+  updateSeedDisplay();
   updateMetrics();
+  recordHistory();
 }
 
 if (document.readyState === 'loading') {